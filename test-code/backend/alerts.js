@@ -0,0 +1,251 @@
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const { Alert, ALERT_STATUSES } = require("./models");
+
+/**
+ * Alertmanager webhook receiver and alert history.
+ *
+ *   POST /api/alerts/webhook   Alertmanager webhook_config target (payload
+ *                              version 4)
+ *   GET  /api/alerts           history, newest first; filters status,
+ *                              alertname, severity, from, to
+ *
+ * Every alert occurrence (fingerprint + startsAt) is one document. Only
+ * state changes are logged and counted: a new firing alert, and its
+ * resolution. Alertmanager re-sends every alert of a group whenever the
+ * group changes or repeat_interval passes; those repeats just bump
+ * `notifications`. Storage failures answer 500 so Alertmanager retries.
+ *
+ *   ALERTS_WEBHOOK_TOKEN   when set, the webhook requires
+ *                          Authorization: Bearer <token>
+ */
+
+const WEBHOOK_TOKEN = process.env.ALERTS_WEBHOOK_TOKEN || "";
+const MAX_ALERTS_PER_NOTIFICATION = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// ─── Payload validation ──────────────────────────────────────────────────────
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isStringMap = (value) => isObject(value) && Object.values(value).every((v) => typeof v === "string");
+
+// Alertmanager sends 0001-01-01T00:00:00Z for "not ended yet"
+function parseAlertTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  return date.getUTCFullYear() < 1970 ? null : date;
+}
+
+// Fallback for Alertmanager versions that do not send one
+function fingerprintOf(labels) {
+  const canonical = Object.keys(labels)
+    .sort()
+    .map((name) => `${name}=${labels[name]}`)
+    .join("\u0000");
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 16);
+}
+
+/**
+ * Validate a webhook body. Returns { alerts } ready to store, or { errors }.
+ */
+function parsePayload(body) {
+  if (!isObject(body)) return { errors: ["body must be a JSON object"] };
+  const errors = [];
+  if (body.version !== undefined && body.version !== "4") errors.push('version must be "4"');
+  if (!ALERT_STATUSES.includes(body.status)) errors.push(`status must be one of ${ALERT_STATUSES.join(", ")}`);
+  if (!Array.isArray(body.alerts) || !body.alerts.length) errors.push("alerts must be a non-empty array");
+  else if (body.alerts.length > MAX_ALERTS_PER_NOTIFICATION) errors.push(`at most ${MAX_ALERTS_PER_NOTIFICATION} alerts per notification`);
+  if (errors.length) return { errors };
+
+  const alerts = [];
+  body.alerts.forEach((alert, i) => {
+    const at = `alerts[${i}]`;
+    if (!isObject(alert)) return errors.push(`${at} must be an object`);
+    if (!ALERT_STATUSES.includes(alert.status)) errors.push(`${at}.status must be one of ${ALERT_STATUSES.join(", ")}`);
+    if (!isStringMap(alert.labels) || !alert.labels.alertname) errors.push(`${at}.labels must be string values including alertname`);
+    if (alert.annotations !== undefined && !isStringMap(alert.annotations)) errors.push(`${at}.annotations must be string values`);
+    const startsAt = parseAlertTime(alert.startsAt);
+    const endsAt = alert.endsAt === undefined ? null : parseAlertTime(alert.endsAt);
+    if (!startsAt) errors.push(`${at}.startsAt must be a timestamp`);
+    if (endsAt === undefined) errors.push(`${at}.endsAt must be a timestamp`);
+    if (errors.length) return;
+
+    alerts.push({
+      fingerprint: typeof alert.fingerprint === "string" && alert.fingerprint ? alert.fingerprint : fingerprintOf(alert.labels),
+      alertname: alert.labels.alertname,
+      severity: alert.labels.severity || "none",
+      status: alert.status,
+      labels: alert.labels,
+      annotations: alert.annotations || {},
+      startsAt,
+      endsAt: alert.status === "resolved" ? endsAt : null,
+      generatorURL: typeof alert.generatorURL === "string" ? alert.generatorURL : undefined,
+      receiver: typeof body.receiver === "string" ? body.receiver : undefined,
+    });
+  });
+  return errors.length ? { errors } : { alerts };
+}
+
+function authorized(req) {
+  if (!WEBHOOK_TOKEN) return true;
+  const expected = Buffer.from(`Bearer ${WEBHOOK_TOKEN}`);
+  const actual = Buffer.from(req.get("authorization") || "");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+/**
+ * Upsert one alert occurrence. Returns "firing" or "resolved" when its state
+ * changed, "unchanged" for a repeat and "stale" for a firing notification
+ * that arrives after the resolution.
+ */
+async function record(alert) {
+  const update = {
+    $set: { ...alert, lastReceivedAt: new Date() },
+    $setOnInsert: { firstReceivedAt: new Date() },
+    $inc: { notifications: 1 },
+  };
+  const key = { fingerprint: alert.fingerprint, startsAt: alert.startsAt };
+
+  if (alert.status === "resolved") {
+    const previous = await Alert.findOneAndUpdate(key, update, { upsert: true, new: false });
+    return previous && previous.status === "resolved" ? "unchanged" : "resolved";
+  }
+  try {
+    // Never reopen a resolved occurrence; a new firing gets a new startsAt
+    const previous = await Alert.findOneAndUpdate({ ...key, status: { $ne: "resolved" } }, update, { upsert: true, new: false });
+    return previous ? "unchanged" : "firing";
+  } catch (err) {
+    if (err.code === 11000) return "stale";
+    throw err;
+  }
+}
+
+function logTransition(alert, change) {
+  const level = change === "resolved" ? "info" : alert.severity === "critical" ? "error" : "warn";
+  logger[level](change === "resolved" ? "Alert resolved" : "Alert firing", {
+    type: "alert",
+    event: change,
+    alertname: alert.alertname,
+    severity: alert.severity,
+    fingerprint: alert.fingerprint,
+    startsAt: alert.startsAt.toISOString(),
+    endsAt: alert.endsAt ? alert.endsAt.toISOString() : undefined,
+    durationSec: alert.endsAt ? Math.round((alert.endsAt - alert.startsAt) / 1000) : undefined,
+    summary: alert.annotations.summary,
+    labels: alert.labels,
+    receiver: alert.receiver,
+  });
+  metrics.alertsReceivedTotal.inc({ alertname: alert.alertname, severity: alert.severity, status: change });
+}
+
+// ─── History ─────────────────────────────────────────────────────────────────
+
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// ISO-8601 or epoch milliseconds
+function parseTime(value) {
+  if (value === undefined) return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseFilter(query) {
+  const errors = [];
+  const filter = {};
+  if (query.status !== undefined) {
+    if (!ALERT_STATUSES.includes(query.status)) errors.push(`status must be one of ${ALERT_STATUSES.join(", ")}`);
+    else filter.status = query.status;
+  }
+  if (query.alertname) filter.alertname = String(query.alertname);
+  if (query.severity) filter.severity = String(query.severity);
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (from === undefined) errors.push("from must be an ISO-8601 date or epoch milliseconds");
+  if (to === undefined) errors.push("to must be an ISO-8601 date or epoch milliseconds");
+  if (from || to) {
+    filter.startsAt = {};
+    if (from) filter.startsAt.$gte = from;
+    if (to) filter.startsAt.$lt = to;
+  }
+  return { filter, errors };
+}
+
+function toJSON(alert) {
+  const { _id, __v, ...rest } = alert.toObject();
+  const end = rest.endsAt || (rest.status === "firing" ? new Date() : null);
+  return { id: String(_id), ...rest, durationSec: end ? Math.round((end - rest.startsAt) / 1000) : null };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+router.post("/webhook", async (req, res) => {
+  if (!authorized(req)) {
+    logger.warn("Alert webhook unauthorized", { type: "alert", event: "webhook_unauthorized", ip: req.ip });
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  const { alerts, errors } = parsePayload(req.body);
+  if (errors) {
+    logger.warn("Alert webhook payload rejected", { type: "alert", event: "webhook_rejected", errors });
+    return res.status(400).json({ error: "Invalid webhook payload", details: errors });
+  }
+
+  const counts = { firing: 0, resolved: 0, unchanged: 0, stale: 0 };
+  try {
+    for (const alert of alerts) {
+      const change = await record(alert);
+      counts[change]++;
+      if (change === "firing" || change === "resolved") logTransition(alert, change);
+    }
+  } catch (err) {
+    logger.error("Failed to store alerts", {
+      type: "alert",
+      event: "store_failed",
+      alertnames: [...new Set(alerts.map((a) => a.alertname))],
+      error: err.message,
+    });
+    return res.status(500).json({ error: "Internal server error" });
+  }
+  logger.debug("Alert notification received", { type: "alert", event: "notification", groupKey: req.body.groupKey, alerts: alerts.length, ...counts });
+  res.json({ received: alerts.length, ...counts });
+});
+
+router.get("/", async (req, res) => {
+  const { filter, errors } = parseFilter(req.query);
+  if (errors.length) return res.status(400).json({ error: "Invalid query", details: errors });
+  const { page, limit, skip } = parsePagination(req.query);
+
+  try {
+    const [alerts, total, firing] = await Promise.all([
+      Alert.find(filter).sort({ startsAt: -1 }).skip(skip).limit(limit),
+      Alert.countDocuments(filter),
+      Alert.countDocuments({ status: "firing" }),
+    ]);
+    res.json({
+      data: alerts.map(toJSON),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      firing,
+    });
+  } catch (err) {
+    logger.error("Failed to list alerts", { type: "alert", event: "list_failed", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,143 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const { Order, CURRENCIES } = require("./models");
+
+/**
+ * Business KPIs for the order and payment flows in orders.js. Money is
+ * converted to USD with a rate table before it reaches a metric, so
+ * revenue_total_usd and order_value_usd can be summed across currencies;
+ * the `currency` label keeps the original currency.
+ *
+ * Pending orders are counted from the Order collection, and payment
+ * conversion / failure ratios per gateway are computed from
+ * payments_total over a sliding window, so generated traffic counts too.
+ *
+ *   CURRENCY_RATES                USD value of one unit, e.g. EUR=1.08,GBP=1.27
+ *   BUSINESS_REFRESH_INTERVAL_MS  pending orders and ratios refresh (15000)
+ *   PAYMENT_RATIO_WINDOW_SEC      window for the payment ratios (900)
+ */
+
+const DEFAULT_RATES = { USD: 1, EUR: 1.08, GBP: 1.27 };
+const REFRESH_INTERVAL_MS = parseInt(process.env.BUSINESS_REFRESH_INTERVAL_MS || "15000", 10);
+const RATIO_WINDOW_MS = parseInt(process.env.PAYMENT_RATIO_WINDOW_SEC || "900", 10) * 1000;
+const PENDING_QUERY_TIMEOUT_MS = 5000;
+// Outcomes that count as a payment attempt for the ratios
+const ATTEMPT_STATUSES = ["completed", "failed"];
+
+// ─── Currency normalization ──────────────────────────────────────────────────
+
+function parseRates(spec) {
+  const rates = { ...DEFAULT_RATES };
+  for (const item of spec.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const eq = item.indexOf("=");
+    const currency = item.slice(0, eq).trim().toUpperCase();
+    const rate = Number(item.slice(eq + 1));
+    if (eq <= 0 || !(rate > 0)) throw new Error(`CURRENCY_RATES: expected CURRENCY=rate, got "${item}"`);
+    if (currency === "USD" && rate !== 1) throw new Error("CURRENCY_RATES: USD is the base currency and always 1");
+    rates[currency] = rate;
+  }
+  const missing = CURRENCIES.filter((currency) => !rates[currency]);
+  if (missing.length) throw new Error(`CURRENCY_RATES: no rate for ${missing.join(", ")}`);
+  return rates;
+}
+
+const rates = parseRates(process.env.CURRENCY_RATES || "");
+for (const currency of CURRENCIES) metrics.currencyRateUsd.set({ currency }, rates[currency]);
+
+function toUsd(amount, currency) {
+  return Math.round(amount * rates[currency] * 100) / 100;
+}
+
+// ─── Order and payment events ────────────────────────────────────────────────
+
+function recordOrderCreated(order) {
+  metrics.ordersCreatedTotal.inc({ currency: order.currency, payment_method: order.paymentMethod });
+  metrics.orderValueUsd.observe({ currency: order.currency }, toUsd(order.amount, order.currency));
+  metrics.orderItems.observe(order.items);
+}
+
+/**
+ * Count a payment outcome (completed, failed or refunded). Processing time
+ * is observed for completed and failed payments when the caller reported
+ * one; order age would measure how long it sat pending, not the gateway.
+ * Returns the amount in USD.
+ */
+function recordPaymentOutcome(order, gateway, processingTimeMs) {
+  const amountUsd = toUsd(order.amount, order.currency);
+  metrics.paymentsTotal.inc({ status: order.status, gateway });
+  if (order.status === "completed") metrics.revenueTotal.inc({ currency: order.currency }, amountUsd);
+  if (order.status === "refunded") metrics.refundsTotal.inc({ currency: order.currency }, amountUsd);
+  if (ATTEMPT_STATUSES.includes(order.status) && processingTimeMs !== undefined) {
+    metrics.paymentProcessingDurationMs.observe({ gateway, status: order.status }, processingTimeMs);
+  }
+  return amountUsd;
+}
+
+// ─── Pending orders ──────────────────────────────────────────────────────────
+
+async function refreshPending() {
+  // Skipped while disconnected rather than queueing behind Mongoose's buffer
+  if (mongoose.connection.readyState !== 1) return;
+  const groups = await Order.aggregate([
+    { $match: { status: "pending" } },
+    { $group: { _id: "$currency", count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+  ]).option({ maxTimeMS: PENDING_QUERY_TIMEOUT_MS });
+
+  const byCurrency = new Map(groups.map((g) => [g._id, g]));
+  for (const currency of CURRENCIES) {
+    const group = byCurrency.get(currency) || { count: 0, amount: 0 };
+    metrics.ordersPending.set({ currency }, group.count);
+    metrics.ordersPendingValueUsd.set({ currency }, toUsd(group.amount, currency));
+  }
+}
+
+// ─── Payment ratios ──────────────────────────────────────────────────────────
+
+// payments_total per gateway at each refresh, oldest first
+const snapshots = [];
+
+async function readAttempts() {
+  const totals = {};
+  for (const { labels, value } of (await metrics.paymentsTotal.get()).values) {
+    if (!ATTEMPT_STATUSES.includes(labels.status)) continue;
+    if (!totals[labels.gateway]) totals[labels.gateway] = { completed: 0, failed: 0 };
+    totals[labels.gateway][labels.status] += value;
+  }
+  return totals;
+}
+
+async function refreshRatios() {
+  const now = Date.now();
+  const current = await readAttempts();
+  snapshots.push({ at: now, totals: current });
+  while (snapshots.length > 1 && snapshots[0].at < now - RATIO_WINDOW_MS) snapshots.shift();
+
+  const start = snapshots[0].totals;
+  for (const [gateway, totals] of Object.entries(current)) {
+    const before = start[gateway] || { completed: 0, failed: 0 };
+    const completed = totals.completed - before.completed;
+    const failed = totals.failed - before.failed;
+    // No attempts in the window: leave the ratio undefined instead of 0
+    if (completed + failed <= 0) {
+      metrics.paymentConversionRatio.remove({ gateway });
+      metrics.paymentFailureRatio.remove({ gateway });
+      continue;
+    }
+    metrics.paymentConversionRatio.set({ gateway }, completed / (completed + failed));
+    metrics.paymentFailureRatio.set({ gateway }, failed / (completed + failed));
+  }
+}
+
+setInterval(() => {
+  refreshPending().catch((err) => logger.error("Pending orders refresh failed", { type: "business", event: "pending_refresh_failed", error: err.message }));
+  refreshRatios().catch((err) => logger.error("Payment ratio refresh failed", { type: "business", event: "ratio_refresh_failed", error: err.message }));
+}, REFRESH_INTERVAL_MS).unref();
+
+module.exports = {
+  toUsd,
+  recordOrderCreated,
+  recordPaymentOutcome,
+};
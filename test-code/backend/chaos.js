@@ -0,0 +1,287 @@
+"use strict";
+
+const express = require("express");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const { stream } = require("./random");
+
+/**
+ * Chaos layer for real routes, configured at runtime through /api/chaos.
+ * A rule matches on method, path pattern and request headers, and fires on
+ * a fraction (`probability`) of the matching requests:
+ *
+ *   { "name": "slow-logs", "methods": ["GET"], "path": "/api/logs",
+ *     "probability": 0.1, "latencyMs": 800 }
+ *   { "methods": ["POST"], "path": "/api/*", "probability": 0.05, "status": 503 }
+ *
+ * Path patterns match the whole path; `:name` matches one segment and `*`
+ * anything. Header values must match exactly, or "*" for present at all.
+ * A firing rule adds `latencyMs` (a number or [min, max]) and then fails
+ * the request with `status`, or destroys the socket with `drop: true`.
+ * When several rules fire, latencies add up and the first failure wins.
+ */
+
+const MAX_RULES = 50;
+const MAX_LATENCY_MS = 60000;
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+const RULE_FIELDS = ["name", "methods", "path", "headers", "probability", "latencyMs", "status", "message", "drop", "enabled"];
+
+// Control endpoints stay healthy so chaos can always be switched off again.
+const EXCLUDED_PATHS = ["/api/chaos", "/api/incidents", "/api/generator", "/api/logs/stream", "/api/loadtests", "/api/alerts/webhook", "/metrics"];
+
+const rng = stream("chaos");
+const rules = new Map();
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+
+function compilePath(pattern) {
+  const source = pattern
+    .split(/(:\w+|\*)/)
+    .map((part) => {
+      if (part === "*") return ".*";
+      if (part.startsWith(":")) return "[^/]+";
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}/?$`);
+}
+
+function isLatency(value) {
+  const inRange = (v) => typeof v === "number" && v >= 0 && v <= MAX_LATENCY_MS;
+  if (Array.isArray(value)) return value.length === 2 && inRange(value[0]) && inRange(value[1]) && value[0] <= value[1];
+  return inRange(value);
+}
+
+/**
+ * Validate a rule definition. Returns { rule } with defaults filled in, or
+ * { errors }.
+ */
+function parseRule(body, id) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { errors: ["rule must be a JSON object"] };
+  for (const key of Object.keys(body)) {
+    if (!RULE_FIELDS.includes(key)) errors.push(`unknown field "${key}"`);
+  }
+  if (body.name !== undefined && !(typeof body.name === "string" && /^[\w.-]{1,64}$/.test(body.name))) {
+    errors.push("name must be 1-64 letters, digits, '_', '.' or '-'");
+  }
+  if (body.methods !== undefined && !(Array.isArray(body.methods) && body.methods.every((m) => METHODS.includes(String(m).toUpperCase())))) {
+    errors.push(`methods must be an array of ${METHODS.join(", ")}`);
+  }
+  if (typeof body.path !== "string" || !body.path.startsWith("/")) errors.push("path is required and must start with /");
+  if (
+    body.headers !== undefined &&
+    !(body.headers && typeof body.headers === "object" && !Array.isArray(body.headers) && Object.values(body.headers).every((v) => typeof v === "string"))
+  ) {
+    errors.push("headers must be an object of header name to string value");
+  }
+  if (!(typeof body.probability === "number" && body.probability >= 0 && body.probability <= 1)) {
+    errors.push("probability is required and must be a number between 0 and 1");
+  }
+  if (body.latencyMs !== undefined && !isLatency(body.latencyMs)) {
+    errors.push(`latencyMs must be a number or [min, max] between 0 and ${MAX_LATENCY_MS}`);
+  }
+  if (body.status !== undefined && !(Number.isInteger(body.status) && body.status >= 400 && body.status <= 599)) {
+    errors.push("status must be an integer between 400 and 599");
+  }
+  if (body.message !== undefined && typeof body.message !== "string") errors.push("message must be a string");
+  if (body.drop !== undefined && typeof body.drop !== "boolean") errors.push("drop must be a boolean");
+  if (body.drop && body.status !== undefined) errors.push("drop and status cannot be combined");
+  if (body.enabled !== undefined && typeof body.enabled !== "boolean") errors.push("enabled must be a boolean");
+  if (body.latencyMs === undefined && body.status === undefined && !body.drop) {
+    errors.push("rule needs at least one of latencyMs, status or drop");
+  }
+  if (errors.length) return { errors };
+
+  return {
+    rule: {
+      id,
+      name: body.name || id,
+      methods: body.methods ? body.methods.map((m) => String(m).toUpperCase()) : null,
+      path: body.path,
+      headers: body.headers
+        ? Object.fromEntries(Object.entries(body.headers).map(([name, value]) => [name.toLowerCase(), value]))
+        : null,
+      probability: body.probability,
+      latencyMs: body.latencyMs,
+      status: body.status,
+      message: body.message || "Service unavailable (chaos)",
+      drop: body.drop === true,
+      enabled: body.enabled !== false,
+    },
+  };
+}
+
+// Definition as accepted by the API, without the compiled pattern
+function definition(rule) {
+  const { pattern, stats, ...rest } = rule;
+  return rest;
+}
+
+function summary(rule) {
+  return { ...definition(rule), stats: rule.stats };
+}
+
+function actionOf(rule) {
+  return [rule.latencyMs !== undefined && "latency", rule.status && "error", rule.drop && "drop"].filter(Boolean).join("+");
+}
+
+function ruleLabels(rule) {
+  return { rule: rule.name, methods: rule.methods ? rule.methods.join(",") : "*", path: rule.path, action: actionOf(rule) };
+}
+
+// chaos_rule_active carries the probability while enabled and 0 while disabled
+function exportRule(rule) {
+  metrics.chaosRuleActive.set(ruleLabels(rule), rule.enabled ? rule.probability : 0);
+}
+
+function unexportRule(rule) {
+  metrics.chaosRuleActive.remove(ruleLabels(rule));
+}
+
+function saveRule(rule, stats) {
+  rule.pattern = compilePath(rule.path);
+  rule.stats = stats || { matched: 0, injected: 0, createdAt: new Date().toISOString() };
+  rules.set(rule.id, rule);
+  exportRule(rule);
+  return rule;
+}
+
+// ─── Middleware ──────────────────────────────────────────────────────────────
+
+function matches(rule, req) {
+  if (!rule.enabled) return false;
+  if (rule.methods && !rule.methods.includes(req.method)) return false;
+  if (!rule.pattern.test(req.path)) return false;
+  if (!rule.headers) return true;
+  return Object.entries(rule.headers).every(([name, value]) => {
+    const actual = req.get(name);
+    return actual !== undefined && (value === "*" || actual === value);
+  });
+}
+
+function sampleLatency(latencyMs) {
+  if (latencyMs === undefined) return 0;
+  if (Array.isArray(latencyMs)) return latencyMs[0] + rng.random() * (latencyMs[1] - latencyMs[0]);
+  return latencyMs;
+}
+
+function countFault(rule, fault) {
+  metrics.chaosFaultsTotal.inc({ rule: rule.name, fault });
+}
+
+/**
+ * Express middleware applying the chaos rules. Mount it after the
+ * metrics/logging middleware so injected latency, errors and dropped
+ * connections show up in the HTTP metrics like real ones.
+ */
+function chaosMiddleware(req, res, next) {
+  if (!rules.size || EXCLUDED_PATHS.some((p) => req.path.startsWith(p))) return next();
+
+  const fired = [];
+  for (const rule of rules.values()) {
+    if (!matches(rule, req)) continue;
+    rule.stats.matched++;
+    if (rng.random() >= rule.probability) continue;
+    rule.stats.injected++;
+    rule.stats.lastInjectedAt = new Date().toISOString();
+    fired.push(rule);
+  }
+  if (!fired.length) return next();
+
+  let latency = 0;
+  for (const rule of fired) {
+    if (rule.latencyMs === undefined) continue;
+    latency += sampleLatency(rule.latencyMs);
+    countFault(rule, "latency");
+  }
+  const failure = fired.find((rule) => rule.status || rule.drop);
+
+  const proceed = () => {
+    if (!failure) return next();
+    countFault(failure, failure.drop ? "drop" : "error");
+    logger.warn("Chaos fault injected", {
+      type: "chaos",
+      event: "fault_injected",
+      rule: failure.name,
+      fault: failure.drop ? "drop" : "error",
+      method: req.method,
+      path: req.path,
+      statusCode: failure.status,
+    });
+    if (failure.drop) return req.socket.destroy();
+    res.status(failure.status).json({ error: failure.message, chaosRule: failure.name });
+  };
+
+  if (latency > 0) setTimeout(proceed, latency);
+  else proceed();
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+function logChange(message, event, rule) {
+  logger.warn(message, { type: "chaos", event, rule: rule ? definition(rule) : undefined, activeRules: rules.size });
+}
+
+router.get("/rules", (req, res) => {
+  res.json([...rules.values()].map(summary));
+});
+
+router.get("/rules/:id", (req, res) => {
+  const rule = rules.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: "Rule not found" });
+  res.json(summary(rule));
+});
+
+router.post("/rules", (req, res) => {
+  if (rules.size >= MAX_RULES) return res.status(409).json({ error: `At most ${MAX_RULES} chaos rules can be defined` });
+  const { rule, errors } = parseRule(req.body, `chaos_${rng.id(8)}`);
+  if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+  if ([...rules.values()].some((r) => r.name === rule.name)) return res.status(409).json({ error: `A rule named "${rule.name}" already exists` });
+
+  saveRule(rule);
+  logChange("Chaos rule created", "rule_created", rule);
+  res.status(201).json(summary(rule));
+});
+
+// Partial update; null removes a field. The merged rule is validated as a whole.
+router.patch("/rules/:id", (req, res) => {
+  const existing = rules.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: "Rule not found" });
+  const { id, ...current } = definition(existing);
+  const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  const merged = Object.fromEntries(Object.entries({ ...current, ...body }).filter(([, value]) => value !== null && value !== undefined));
+  const { rule, errors } = parseRule(merged, id);
+  if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+  if (rule.name !== existing.name && [...rules.values()].some((r) => r.name === rule.name)) {
+    return res.status(409).json({ error: `A rule named "${rule.name}" already exists` });
+  }
+
+  unexportRule(existing);
+  saveRule(rule, existing.stats);
+  logChange("Chaos rule updated", "rule_updated", rule);
+  res.json(summary(rule));
+});
+
+router.delete("/rules/:id", (req, res) => {
+  const rule = rules.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: "Rule not found" });
+  rules.delete(rule.id);
+  unexportRule(rule);
+  logChange("Chaos rule deleted", "rule_deleted", rule);
+  res.json(summary(rule));
+});
+
+router.delete("/rules", (req, res) => {
+  const removed = rules.size;
+  for (const rule of rules.values()) unexportRule(rule);
+  rules.clear();
+  logChange("Chaos rules cleared", "rules_cleared");
+  res.json({ removed });
+});
+
+module.exports = {
+  router,
+  chaosMiddleware,
+};
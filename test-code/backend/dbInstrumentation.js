@@ -0,0 +1,187 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const tracing = require("./tracing");
+
+const SLOW_QUERY_MS = parseInt(process.env.DB_SLOW_QUERY_MS || "100", 10);
+
+const QUERY_OPS = [
+  "countDocuments",
+  "distinct",
+  "estimatedDocumentCount",
+  "find",
+  "findOne",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+  "deleteMany",
+  "deleteOne",
+  "findOneAndDelete",
+];
+
+// Start time (and span) keyed by the query / aggregate / document being
+// executed; each of those runs one operation at a time.
+const startTimes = new WeakMap();
+
+// ─── Query shape ─────────────────────────────────────────────────────────────
+
+/**
+ * Replace every leaf value with "?" while keeping field names and operators,
+ * so slow-query logs show the shape of a query without leaking its data.
+ */
+function redactShape(value) {
+  if (Array.isArray(value)) return value.map(redactShape);
+  if (value && typeof value === "object" && !(value instanceof Date) && value.constructor === Object) {
+    const out = {};
+    for (const [key, inner] of Object.entries(value)) out[key] = redactShape(inner);
+    return out;
+  }
+  return "?";
+}
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+// Server-side maxTimeMS expiry, or Mongoose giving up on a buffered
+// operation while disconnected. Counted as status="timeout".
+function isTimeout(err) {
+  return Boolean(err) && (err.code === 50 || err.codeName === "MaxTimeMSExpired" || /buffering timed out/.test(err.message));
+}
+
+// Only traced when running inside a request (or other) span, so background
+// work such as the generator does not start a trace per query.
+function startSpan(operation, collection, shape) {
+  if (!tracing.currentSpan()) return null;
+  return tracing.startSpan(`${operation} ${collection}`, {
+    kind: tracing.SPAN_KIND.CLIENT,
+    attributes: {
+      "db.system": "mongodb",
+      "db.operation": operation,
+      "db.mongodb.collection": collection,
+      "db.statement": shape ? JSON.stringify(redactShape(shape())) : undefined,
+    },
+  });
+}
+
+function start(...description) {
+  return { startedAt: process.hrtime.bigint(), span: startSpan(...description) };
+}
+
+function finish({ startedAt, span }, status, operation, collection, shape, err) {
+  if (span) {
+    if (err) span.recordException(err);
+    span.end();
+  }
+
+  const duration = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const labels = { operation, collection, status };
+  metrics.dbOperationDurationMs.observe(labels, duration);
+  metrics.dbOperationsTotal.inc(labels);
+
+  if (duration >= SLOW_QUERY_MS) {
+    logger.warn("Slow database operation", {
+      type: "database",
+      event: "slow_query",
+      operation,
+      collection,
+      status,
+      duration: Math.round(duration),
+      threshold: SLOW_QUERY_MS,
+      query: shape ? redactShape(shape()) : undefined,
+    });
+  }
+}
+
+/**
+ * Register pre/post hooks on both the success and error paths of an
+ * operation. `describe(this)` returns [operation, collection, shapeFn].
+ */
+function hook(schema, ops, describe) {
+  const finishHooked = (target, ...args) => {
+    const started = startTimes.get(target);
+    if (!started) return;
+    startTimes.delete(target);
+    finish(started, ...args);
+  };
+  schema.pre(ops, function () {
+    startTimes.set(this, start(...describe(this)));
+  });
+  schema.post(ops, function () {
+    finishHooked(this, "success", ...describe(this));
+  });
+  schema.post(ops, function (err, res, next) {
+    const [operation, collection, shape] = describe(this);
+    finishHooked(this, isTimeout(err) ? "timeout" : "error", operation, collection, shape, err);
+    next(err);
+  });
+}
+
+/**
+ * insertMany hooks run with the model as `this`, shared by concurrent
+ * calls, so time it by wrapping the static instead: one start per call.
+ */
+function timeInsertMany(schema) {
+  schema.statics.insertMany = async function insertMany(docs, options) {
+    const collection = this.collection.name;
+    const started = start("insertMany", collection);
+    try {
+      const result = await mongoose.Model.insertMany.call(this, docs, options);
+      finish(started, "success", "insertMany", collection);
+      return result;
+    } catch (err) {
+      finish(started, isTimeout(err) ? "timeout" : "error", "insertMany", collection, undefined, err);
+      throw err;
+    }
+  };
+}
+
+// ─── Mongoose plugin ─────────────────────────────────────────────────────────
+
+/**
+ * Global Mongoose plugin timing every query, save, aggregate and insertMany
+ * into db_operation_duration_ms / db_operations_total, with a CLIENT span
+ * per operation when a trace is active.
+ * Must be registered with mongoose.plugin() before models are compiled.
+ */
+function dbMetricsPlugin(schema) {
+  hook(schema, QUERY_OPS, (query) => [query.op, query.mongooseCollection.name, () => query.getFilter()]);
+  hook(schema, "aggregate", (agg) => ["aggregate", agg.model().collection.name, () => agg.pipeline()]);
+  hook(schema, "save", (doc) => ["save", doc.constructor.collection.name]);
+  timeInsertMany(schema);
+}
+
+// ─── Connection pool ─────────────────────────────────────────────────────────
+
+/**
+ * Track checked-out connections from the driver's CMAP events into
+ * db_connection_pool_active, and total open connections into
+ * db_connection_pool_size. The MongoClient only exists once connect() has
+ * been called, so attach lazily if it is not there yet.
+ */
+function instrumentConnection(connection) {
+  const attach = (client) => {
+    client.on("connectionCreated", () => metrics.dbConnectionPoolSize.inc());
+    client.on("connectionClosed", () => metrics.dbConnectionPoolSize.dec());
+    client.on("connectionCheckedOut", () => metrics.dbConnectionPoolActive.inc());
+    client.on("connectionCheckedIn", () => metrics.dbConnectionPoolActive.dec());
+    // No reset of the active gauge here: connections checked out before the
+    // clear still emit connectionCheckedIn and bring it back down themselves
+    client.on("connectionPoolCleared", () => {
+      logger.warn("MongoDB connection pool cleared", { type: "database", event: "pool_cleared" });
+    });
+  };
+
+  const client = connection.getClient && connection.getClient();
+  if (client) attach(client);
+  else connection.once("connected", () => attach(connection.getClient()));
+}
+
+module.exports = {
+  dbMetricsPlugin,
+  instrumentConnection,
+  isTimeout,
+  redactShape,
+};
@@ -0,0 +1,277 @@
+"use strict";
+
+const logger = require("./logger");
+const metrics = require("./metrics");
+const { pickWeighted, randInt } = require("./scenarios");
+const { stream, clock } = require("./random");
+const { runInBackground } = require("./requestContext");
+
+const rng = stream("generator");
+
+const TICK_MS = 100;
+const SCHEDULE_TYPES = ["steady", "ramp", "burst", "diurnal"];
+const DAY_SEC = 86400;
+
+// ─── Schedules ───────────────────────────────────────────────────────────────
+
+function range(value, fallback) {
+  if (value === undefined) return [fallback, fallback];
+  return Array.isArray(value) ? value : [value, value];
+}
+
+function resolveScenarios(def, profile) {
+  const where = `schedule "${def.name}"`;
+  let names = def.scenarios === undefined || def.scenarios === "*" ? [...profile.scenarios.keys()] : def.scenarios;
+  if (def.exclude) names = names.filter((name) => !def.exclude.includes(name));
+  if (!names.length) throw new Error(`${where}: no scenarios selected`);
+  return names.map((name) => {
+    const scenario = profile.scenarios.get(name);
+    if (!scenario) throw new Error(`${where}: unknown scenario "${name}"`);
+    return scenario;
+  });
+}
+
+/**
+ * Events per second a rate-based schedule should produce `elapsedSec`
+ * after it started.
+ *   steady  – constant `rate`
+ *   ramp    – linear from `from` to `to` over `durationSec`, then holds (or restarts with `repeat`)
+ *   diurnal – `rate` modulated by a cosine peaking at `peakHour`; one "day" lasts
+ *             `periodSec` (default 24h, following the wall clock)
+ */
+function rateAt(def, elapsedSec, now) {
+  switch (def.type) {
+    case "ramp": {
+      const duration = def.durationSec || 60;
+      const t = def.repeat ? elapsedSec % duration : Math.min(elapsedSec, duration);
+      return def.from + (def.to - def.from) * (t / duration);
+    }
+    case "diurnal": {
+      const period = def.periodSec || DAY_SEC;
+      const midnight = new Date(now).setHours(0, 0, 0, 0);
+      const position = period === DAY_SEC ? (now - midnight) / 1000 : elapsedSec % period;
+      const hour = (position / period) * 24;
+      const amplitude = def.amplitude === undefined ? 0.5 : def.amplitude;
+      const peakHour = def.peakHour === undefined ? 14 : def.peakHour;
+      return def.rate * (1 + amplitude * Math.cos((2 * Math.PI * (hour - peakHour)) / 24));
+    }
+    default:
+      return def.rate;
+  }
+}
+
+function validateSchedule(def) {
+  const where = `schedule "${def.name}"`;
+  if (!def.name) throw new Error("Every schedule needs a name");
+  if (!SCHEDULE_TYPES.includes(def.type)) {
+    throw new Error(`${where}: type must be one of ${SCHEDULE_TYPES.join(", ")}`);
+  }
+  if (def.type === "ramp" && (typeof def.from !== "number" || typeof def.to !== "number")) {
+    throw new Error(`${where}: ramp needs numeric "from" and "to"`);
+  }
+  if ((def.type === "steady" || def.type === "diurnal") && typeof def.rate !== "number") {
+    throw new Error(`${where}: needs a numeric "rate" (events per second)`);
+  }
+}
+
+// ─── Generator ───────────────────────────────────────────────────────────────
+const STATES = ["stopped", "running", "paused"];
+
+/**
+ * Drive a compiled profile's schedules. Rate-based schedules share one
+ * ticker and accumulate fractional events between ticks, so 0.1/s yields
+ * exactly one event every 10s.
+ *
+ * Everything runs off the shared clock from ./random: each tick advances
+ * it by TICK_MS (a no-op unless seeded) and burst events wait in a
+ * per-schedule queue keyed by clock time rather than in setTimeout, so a
+ * seeded run replays the exact same sequence.
+ *
+ * Pausing keeps the timeline going (a ramp keeps climbing) but emits
+ * nothing; stopping clears every queue and restarts schedules from zero.
+ */
+function createGenerator(profile, options = {}) {
+  const schedules = profile.schedules.map((def) => {
+    validateSchedule(def);
+    const scenarios = resolveScenarios(def, profile);
+    return {
+      def,
+      scenarios,
+      weights: scenarios.map((s) => s.weight),
+      announce: def.announce ? resolveScenarios({ name: def.name, scenarios: [def.announce] }, profile)[0] : null,
+      startedAt: 0,
+      pending: 0,
+      emitted: 0,
+      queue: [],
+    };
+  });
+
+  let state = "stopped";
+  let rateMultiplier = options.rateMultiplier || 1;
+  let ticker = null;
+  let lastTick = 0;
+
+  function setState(next) {
+    state = next;
+    for (const s of STATES) metrics.generatorState.set({ state: s, profile: profile.name }, s === next ? 1 : 0);
+  }
+
+  function effectiveRate(schedule, now) {
+    return rateAt(schedule.def, (now - schedule.startedAt) / 1000, now) * rateMultiplier;
+  }
+
+  function emitFrom(schedule, ctx) {
+    const scenario = pickWeighted(schedule.scenarios, schedule.weights);
+    try {
+      scenario.emit(ctx);
+      schedule.emitted++;
+      metrics.generatorEventsTotal.inc({ profile: profile.name, schedule: schedule.def.name });
+    } catch (err) {
+      logger.error("Scenario failed", { type: "generator", scenario: scenario.name, error: err.message });
+    }
+  }
+
+  function tick() {
+    clock.advance(TICK_MS);
+    const now = clock.now();
+    const dt = (now - lastTick) / 1000;
+    lastTick = now;
+    for (const schedule of schedules) {
+      if (schedule.def.type === "burst") {
+        while (schedule.queue.length && schedule.queue[0].at <= now) schedule.queue.shift().fn();
+        continue;
+      }
+      const rate = effectiveRate(schedule, now);
+      metrics.generatorScheduleRate.set({ profile: profile.name, schedule: schedule.def.name, type: schedule.def.type }, rate);
+      if (state === "paused") {
+        schedule.pending = 0;
+        continue;
+      }
+      schedule.pending += rate * dt;
+      while (schedule.pending >= 1) {
+        schedule.pending -= 1;
+        emitFrom(schedule, {});
+      }
+    }
+  }
+
+  // Queue fn to run `delay` ms of clock time from now, after anything already due then.
+  function later(schedule, fn, delay) {
+    const at = clock.now() + delay;
+    const index = schedule.queue.findIndex((item) => item.at > at);
+    schedule.queue.splice(index === -1 ? schedule.queue.length : index, 0, { at, fn });
+  }
+
+  // Bursts come `rateMultiplier` times as often; their size is unchanged.
+  function scheduleBurst(schedule) {
+    const [minSec, maxSec] = range(schedule.def.intervalSec, 30);
+    const delay = ((minSec + rng.random() * (maxSec - minSec)) * 1000) / Math.max(rateMultiplier, 0.01);
+    later(schedule, () => {
+      scheduleBurst(schedule);
+      if (state === "paused" || rateMultiplier === 0) return;
+      const [minCount, maxCount] = range(schedule.def.count, 5);
+      const ctx = {
+        burstSize: randInt(minCount, maxCount),
+        correlationId: `${schedule.def.correlationPrefix || "burst"}_${clock.now()}`,
+      };
+      if (schedule.announce) schedule.announce.emit(ctx);
+      const spacing = schedule.def.spacingMs === undefined ? 200 : schedule.def.spacingMs;
+      for (let i = 0; i < ctx.burstSize; i++) {
+        // Dropped if the generator is paused before the event is due
+        later(schedule, () => state === "running" && emitFrom(schedule, ctx), i * spacing);
+      }
+    }, delay);
+  }
+
+  function start() {
+    if (state === "paused") return resume();
+    if (state === "running") return;
+    const now = clock.now();
+    lastTick = now;
+    for (const schedule of schedules) {
+      schedule.startedAt = now;
+      schedule.pending = 0;
+      if (schedule.def.type === "burst") scheduleBurst(schedule);
+    }
+    // Often started from an API request; the ticker must not inherit its context
+    ticker = runInBackground(() => setInterval(tick, TICK_MS));
+    metrics.generatorRateMultiplier.set(rateMultiplier);
+    setState("running");
+    logger.info("Log generator started", {
+      type: "generator",
+      event: "started",
+      profile: profile.name,
+      rateMultiplier,
+      schedules: schedules.map((s) => s.def.name),
+    });
+  }
+
+  function stop() {
+    if (state === "stopped") return;
+    clearInterval(ticker);
+    ticker = null;
+    for (const schedule of schedules) {
+      schedule.queue = [];
+      metrics.generatorScheduleRate.set({ profile: profile.name, schedule: schedule.def.name, type: schedule.def.type }, 0);
+    }
+    setState("stopped");
+    logger.info("Log generator stopped", { type: "generator", event: "stopped", profile: profile.name });
+  }
+
+  function pause() {
+    if (state !== "running") return;
+    setState("paused");
+    logger.info("Log generator paused", { type: "generator", event: "paused", profile: profile.name });
+  }
+
+  function resume() {
+    if (state !== "paused") return;
+    lastTick = clock.now();
+    setState("running");
+    logger.info("Log generator resumed", { type: "generator", event: "resumed", profile: profile.name });
+  }
+
+  function setRateMultiplier(multiplier) {
+    const previous = rateMultiplier;
+    rateMultiplier = multiplier;
+    metrics.generatorRateMultiplier.set(multiplier);
+    logger.info("Log generator rate changed", {
+      type: "generator",
+      event: "rate_changed",
+      profile: profile.name,
+      previous,
+      rateMultiplier: multiplier,
+    });
+  }
+
+  function describe() {
+    const now = clock.now();
+    return schedules.map((s) => ({
+      name: s.def.name,
+      type: s.def.type,
+      scenarios: s.scenarios.map((sc) => sc.name),
+      currentRate: s.def.type === "burst" || state === "stopped" ? null : effectiveRate(s, now),
+      queued: s.queue.length,
+      emitted: s.emitted,
+    }));
+  }
+
+  return {
+    profile: profile.name,
+    description: profile.description,
+    start,
+    stop,
+    pause,
+    resume,
+    setRateMultiplier,
+    describe,
+    get state() {
+      return state;
+    },
+    get rateMultiplier() {
+      return rateMultiplier;
+    },
+  };
+}
+
+module.exports = { createGenerator };
@@ -0,0 +1,163 @@
+"use strict";
+
+const express = require("express");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const random = require("./random");
+const { loadProfile, listProfiles } = require("./scenarios");
+const { createGenerator } = require("./generator");
+
+const MAX_RATE_MULTIPLIER = 100;
+
+// The one generator instance this process runs; replaced on profile switch.
+let generator = null;
+// What it was loaded from (a profile name or a file path), for rebuilding it;
+// generator.profile is the profile's own `name:` and may differ.
+let generatorSource = null;
+
+function status() {
+  if (!generator) {
+    return { state: "stopped", profile: null, rateMultiplier: 1, seed: random.getSeed(), schedules: [], availableProfiles: listProfiles() };
+  }
+  return {
+    state: generator.state,
+    profile: generator.profile,
+    description: generator.description,
+    rateMultiplier: generator.rateMultiplier,
+    seed: random.getSeed(),
+    clock: random.clock.iso(),
+    schedules: generator.describe(),
+    availableProfiles: listProfiles(),
+  };
+}
+
+/**
+ * Load `profileName` and make it the active generator. If a generator was
+ * already active its state (running/paused/stopped) and rate multiplier
+ * carry over. Throws if the profile cannot be loaded; the old generator
+ * keeps running in that case.
+ */
+function useProfile(profileName, { autoStart = false } = {}) {
+  const previous = generator;
+  const next = createGenerator(loadProfile(profileName), {
+    rateMultiplier: previous ? previous.rateMultiplier : 1,
+  });
+
+  const previousState = previous ? previous.state : "stopped";
+  if (previous) previous.stop();
+  metrics.generatorState.reset();
+  metrics.generatorScheduleRate.reset();
+
+  generator = next;
+  generatorSource = profileName;
+  if (autoStart || previousState !== "stopped") generator.start();
+  if (previousState === "paused") generator.pause();
+  if (generator.state === "stopped") metrics.generatorState.set({ state: "stopped", profile: generator.profile }, 1);
+  return generator;
+}
+
+function getGenerator() {
+  return generator;
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+function requireGenerator(req, res, next) {
+  if (!generator) return res.status(409).json({ error: "No generator profile loaded" });
+  next();
+}
+
+router.get("/", (req, res) => {
+  res.json(status());
+});
+
+router.get("/schedules", requireGenerator, (req, res) => {
+  res.json(generator.describe());
+});
+
+router.post("/start", requireGenerator, (req, res) => {
+  generator.start();
+  res.json(status());
+});
+
+router.post("/stop", requireGenerator, (req, res) => {
+  generator.stop();
+  res.json(status());
+});
+
+router.post("/pause", requireGenerator, (req, res) => {
+  if (generator.state !== "running") {
+    return res.status(409).json({ error: `Cannot pause a ${generator.state} generator` });
+  }
+  generator.pause();
+  res.json(status());
+});
+
+router.post("/resume", requireGenerator, (req, res) => {
+  if (generator.state !== "paused") {
+    return res.status(409).json({ error: `Cannot resume a ${generator.state} generator` });
+  }
+  generator.resume();
+  res.json(status());
+});
+
+router.put("/rate", requireGenerator, (req, res) => {
+  const multiplier = (req.body || {}).multiplier;
+  if (typeof multiplier !== "number" || !Number.isFinite(multiplier) || multiplier < 0 || multiplier > MAX_RATE_MULTIPLIER) {
+    return res.status(400).json({ error: "Validation failed", details: [`multiplier must be a number between 0 and ${MAX_RATE_MULTIPLIER}`] });
+  }
+  generator.setRateMultiplier(multiplier);
+  res.json(status());
+});
+
+router.put("/profile", (req, res) => {
+  const profileName = (req.body || {}).profile;
+  if (typeof profileName !== "string" || !listProfiles().includes(profileName)) {
+    return res.status(400).json({ error: "Validation failed", details: [`profile must be one of ${listProfiles().join(", ")}`] });
+  }
+  try {
+    const from = generator ? generator.profile : null;
+    useProfile(profileName);
+    logger.info("Log generator profile switched", { type: "generator", event: "profile_switched", from, to: profileName });
+    res.json(status());
+  } catch (err) {
+    logger.error("Log generator profile switch failed", { type: "generator", event: "profile_switch_failed", profile: profileName, error: err.message });
+    res.status(422).json({ error: "Invalid profile", details: [err.message] });
+  }
+});
+
+/**
+ * Re-seed randomness and rewind the clock, then rebuild the active
+ * generator so its schedules and counters start from zero. With
+ * resetMetrics the Prometheus registry is zeroed too, making metric totals
+ * comparable between runs of the same seed.
+ */
+router.put("/seed", requireGenerator, (req, res) => {
+  const { seed = null, epoch, resetMetrics = false } = req.body || {};
+  if (seed !== null && typeof seed !== "string" && typeof seed !== "number") {
+    return res.status(400).json({ error: "Validation failed", details: ["seed must be a string, a number or null"] });
+  }
+  if (epoch !== undefined && Number.isNaN(Date.parse(epoch))) {
+    return res.status(400).json({ error: "Validation failed", details: ["epoch must be an ISO-8601 date"] });
+  }
+
+  // The old generator keeps its state until useProfile replaces it, which
+  // carries running / paused / stopped over to the rebuilt one
+  random.setSeed(seed, { epoch });
+  if (resetMetrics) metrics.register.resetMetrics();
+  try {
+    useProfile(generatorSource);
+  } catch (err) {
+    logger.error("Log generator re-seed failed", { type: "generator", event: "seed_failed", profile: generatorSource, error: err.message });
+    return res.status(422).json({ error: "Invalid profile", details: [err.message] });
+  }
+  logger.info("Log generator re-seeded", { type: "generator", event: "seeded", seed: random.getSeed(), resetMetrics });
+  res.json(status());
+});
+
+module.exports = {
+  router,
+  useProfile,
+  getGenerator,
+};
@@ -0,0 +1,174 @@
+"use strict";
+
+const express = require("express");
+const mongoose = require("mongoose");
+const v8 = require("v8");
+const { monitorEventLoopDelay } = require("perf_hooks");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const pushgateway = require("./pushgateway");
+const { isShuttingDown } = require("./shutdown");
+
+/**
+ * Liveness, readiness and a detailed health report.
+ *
+ *   GET /livez       200 while the process can answer at all
+ *   GET /readyz      200 when MongoDB is connected and answering pings, 503
+ *                    once shutdown has started
+ *   GET /api/health  every check with its detail; 503 when any check fails
+ *
+ * Each check reports pass / warn / fail. Results are also exported as
+ * health_check_status{check, status}, refreshed in the background so the
+ * gauge stays current between probes.
+ */
+
+const CHECK_INTERVAL_MS = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS || "15000", 10);
+const MONGO_PING_TIMEOUT_MS = parseInt(process.env.HEALTH_MONGO_PING_TIMEOUT_MS || "1000", 10);
+const MONGO_PING_WARN_MS = parseInt(process.env.HEALTH_MONGO_PING_WARN_MS || "100", 10);
+const EVENT_LOOP_WARN_MS = parseInt(process.env.HEALTH_EVENT_LOOP_WARN_MS || "200", 10);
+const EVENT_LOOP_FAIL_MS = parseInt(process.env.HEALTH_EVENT_LOOP_FAIL_MS || "1000", 10);
+const HEAP_WARN_RATIO = parseFloat(process.env.HEALTH_HEAP_WARN_RATIO || "0.85");
+const HEAP_FAIL_RATIO = parseFloat(process.env.HEALTH_HEAP_FAIL_RATIO || "0.95");
+// Three missed pushes at the default 15s interval
+const PUSH_MAX_AGE_SEC = parseInt(process.env.HEALTH_PUSH_MAX_AGE_SEC || "45", 10);
+
+const STATUSES = ["pass", "warn", "fail"];
+const CONNECTION_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+// Event-loop delay since the previous evaluation
+const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+loopDelay.enable();
+
+// ─── Checks ──────────────────────────────────────────────────────────────────
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkMongo() {
+  const state = CONNECTION_STATES[mongoose.connection.readyState] || "unknown";
+  if (state !== "connected") return { status: "fail", state, message: `MongoDB is ${state}` };
+  const start = process.hrtime.bigint();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), MONGO_PING_TIMEOUT_MS, `ping timed out after ${MONGO_PING_TIMEOUT_MS}ms`);
+  } catch (err) {
+    return { status: "fail", state, message: err.message };
+  }
+  const pingMs = round(Number(process.hrtime.bigint() - start) / 1e6);
+  return { status: pingMs > MONGO_PING_WARN_MS ? "warn" : "pass", state, pingMs, warnMs: MONGO_PING_WARN_MS };
+}
+
+function checkEventLoop() {
+  const p99Ms = round(loopDelay.percentile(99) / 1e6);
+  const maxMs = round(loopDelay.max / 1e6);
+  loopDelay.reset();
+  const status = p99Ms > EVENT_LOOP_FAIL_MS ? "fail" : p99Ms > EVENT_LOOP_WARN_MS ? "warn" : "pass";
+  return { status, p99Ms, maxMs, warnMs: EVENT_LOOP_WARN_MS, failMs: EVENT_LOOP_FAIL_MS };
+}
+
+// Against V8's heap limit rather than heapTotal, which grows on demand
+function checkHeap() {
+  const { used_heap_size: used, heap_size_limit: limit } = v8.getHeapStatistics();
+  const ratio = used / limit;
+  const status = ratio > HEAP_FAIL_RATIO ? "fail" : ratio > HEAP_WARN_RATIO ? "warn" : "pass";
+  return {
+    status,
+    usedMB: Math.round(used / 1024 / 1024),
+    limitMB: Math.round(limit / 1024 / 1024),
+    ratio: round(ratio),
+    warnRatio: HEAP_WARN_RATIO,
+    failRatio: HEAP_FAIL_RATIO,
+  };
+}
+
+function checkPushgateway() {
+  const { lastSuccessAt, lastAttemptAt, lastError } = pushgateway.getStatus();
+  const since = lastSuccessAt || Date.now() - process.uptime() * 1000;
+  const ageSec = Math.round((Date.now() - since) / 1000);
+  return {
+    status: ageSec > PUSH_MAX_AGE_SEC ? "fail" : "pass",
+    lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+    lastAttemptAt: lastAttemptAt ? new Date(lastAttemptAt).toISOString() : null,
+    lastError,
+    ageSec,
+    maxAgeSec: PUSH_MAX_AGE_SEC,
+  };
+}
+
+function exportStatus(check, status) {
+  for (const s of STATUSES) metrics.healthCheckStatus.set({ check, status: s }, s === status ? 1 : 0);
+}
+
+/**
+ * Run every check. Overall status is the worst check status.
+ */
+async function evaluate() {
+  const checks = {
+    mongo: await checkMongo(),
+    eventLoop: checkEventLoop(),
+    heap: checkHeap(),
+    pushgateway: checkPushgateway(),
+  };
+  let worst = 0;
+  for (const [name, result] of Object.entries(checks)) {
+    exportStatus(name, result.status);
+    worst = Math.max(worst, STATUSES.indexOf(result.status));
+  }
+  return { status: STATUSES[worst], checks };
+}
+
+setInterval(
+  () => evaluate().catch((err) => logger.error("Health evaluation failed", { type: "health", error: err.message })),
+  CHECK_INTERVAL_MS
+).unref();
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+router.get("/livez", (req, res) => {
+  res.json({ status: "pass", uptime: process.uptime() });
+});
+
+router.get("/readyz", async (req, res) => {
+  if (isShuttingDown()) return res.status(503).json({ status: "fail", message: "Shutting down" });
+  const mongo = await checkMongo();
+  exportStatus("mongo", mongo.status);
+  const ready = mongo.status !== "fail";
+  if (!ready) logger.warn("Readiness check failed", { type: "health", endpoint: "/readyz", mongo });
+  res.status(ready ? 200 : 503).json({ status: ready ? "pass" : "fail", checks: { mongo } });
+});
+
+router.get("/api/health", async (req, res) => {
+  const mem = process.memoryUsage();
+  const { status, checks } = await evaluate();
+  const health = {
+    status,
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    memory: { heapUsed: mem.heapUsed, heapTotal: mem.heapTotal, rss: mem.rss },
+    pid: process.pid,
+    nodeVersion: process.version,
+    checks,
+  };
+  const failing = Object.keys(checks).filter((name) => checks[name].status !== "pass");
+  logger[status === "pass" ? "info" : "warn"]("Health check performed", {
+    type: "health",
+    endpoint: "/api/health",
+    status,
+    failing,
+    uptime: health.uptime,
+    heapUsedMB: Math.round(mem.heapUsed / 1024 / 1024),
+    rssMB: Math.round(mem.rss / 1024 / 1024),
+  });
+  res.status(status === "fail" ? 503 : 200).json(health);
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,241 @@
+"use strict";
+
+const client = require("prom-client");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+/**
+ * HTTP request metrics with a bounded `route` label. The label is, in order:
+ *   - the matched Express route template, e.g. /api/orders/:id/pay
+ *   - "unmatched" for 404s that no route handled (scanners, typos)
+ *   - otherwise the raw path with ID-like segments collapsed, for responses
+ *     sent before routing (chaos / incident faults, body-parser errors,
+ *     connections dropped early)
+ * Once METRICS_MAX_ROUTES distinct values have been seen, new ones are
+ * recorded as "overflow" and counted in http_route_label_overflow_total.
+ *
+ *   METRICS_MAX_ROUTES       distinct route label values (200)
+ *   METRICS_ROUTE_COLLAPSE   segment patterns to collapse, comma-separated:
+ *                            uuid, objectid, number, hex or name=regex
+ *                            ("none" disables)
+ *   METRICS_EXCLUDE_PATHS    paths not recorded at all (/metrics)
+ *
+ * Latency always goes to http_request_duration_ms. Routes can additionally
+ * be recorded with their own buckets, and a Summary can be turned on for
+ * quantiles computed in-process:
+ *
+ *   HTTP_BUCKET_SETS         name=b1,b2,...;name=... each set becomes
+ *                            http_request_duration_<name>_ms
+ *   HTTP_ROUTE_BUCKETS       route=name;... where route is a route label,
+ *                            `*` matching anything (first match wins)
+ *   HTTP_DURATION_SUMMARY    true adds http_request_duration_summary_ms
+ *   HTTP_DURATION_SUMMARY_WINDOW_SEC  sliding quantile window (600)
+ */
+
+const MAX_ROUTES = parseInt(process.env.METRICS_MAX_ROUTES || "200", 10);
+const EXCLUDED_PATHS = (process.env.METRICS_EXCLUDE_PATHS || "/metrics").split(",").map((p) => p.trim()).filter(Boolean);
+const UNMATCHED = "unmatched";
+const OVERFLOW = "overflow";
+
+// ─── Route normalization ─────────────────────────────────────────────────────
+
+const COLLAPSERS = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  objectid: /^[0-9a-f]{24}$/i,
+  number: /^\d+$/,
+  hex: /^[0-9a-f]{16,}$/i,
+};
+
+// [{ name, pattern }] in configured order; a segment takes the first match
+function parseCollapse(spec) {
+  if (spec.trim() === "none") return [];
+  return spec
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const eq = item.indexOf("=");
+      if (eq > 0) return { name: item.slice(0, eq).trim(), pattern: new RegExp(item.slice(eq + 1).trim()) };
+      if (COLLAPSERS[item]) return { name: item, pattern: COLLAPSERS[item] };
+      throw new Error(`METRICS_ROUTE_COLLAPSE: unknown pattern "${item}" (use ${Object.keys(COLLAPSERS).join(", ")}, name=regex or none)`);
+    });
+}
+
+const collapsers = parseCollapse(process.env.METRICS_ROUTE_COLLAPSE || "uuid,objectid,number,hex");
+
+function collapsePath(path) {
+  return path
+    .split("/")
+    .map((segment) => {
+      const match = collapsers.find(({ pattern }) => pattern.test(segment));
+      return match ? `:${match.name}` : segment;
+    })
+    .join("/");
+}
+
+function normalizeRoute(req, res) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  if (res.statusCode === 404) return UNMATCHED;
+  return collapsePath(req.path);
+}
+
+// ─── Cardinality cap ─────────────────────────────────────────────────────────
+
+const seenRoutes = new Set();
+let overflowLogged = false;
+
+function boundedRoute(route) {
+  if (seenRoutes.has(route)) return route;
+  if (seenRoutes.size < MAX_ROUTES) {
+    seenRoutes.add(route);
+    return route;
+  }
+  metrics.httpRouteLabelOverflowTotal.inc();
+  if (!overflowLogged) {
+    overflowLogged = true;
+    logger.warn("Route label limit reached, recording new routes as overflow", {
+      type: "metrics",
+      event: "route_label_overflow",
+      maxRoutes: MAX_ROUTES,
+      route,
+    });
+  }
+  return OVERFLOW;
+}
+
+// ─── Latency bucket sets and summary ─────────────────────────────────────────
+
+const SUMMARY_ENABLED = process.env.HTTP_DURATION_SUMMARY === "true";
+const SUMMARY_WINDOW_SEC = parseInt(process.env.HTTP_DURATION_SUMMARY_WINDOW_SEC || "600", 10);
+const SUMMARY_AGE_BUCKETS = 5;
+const SET_NAME_RE = /^[a-z][a-z0-9_]*$/;
+
+const splitList = (spec, separator) => spec.split(separator).map((s) => s.trim()).filter(Boolean);
+
+function splitEntry(envName, item) {
+  const eq = item.indexOf("=");
+  if (eq <= 0) throw new Error(`${envName}: expected name=value, got "${item}"`);
+  return [item.slice(0, eq).trim(), item.slice(eq + 1).trim()];
+}
+
+function parseBucketSets(spec) {
+  const sets = new Map();
+  for (const item of splitList(spec, ";")) {
+    const [name, list] = splitEntry("HTTP_BUCKET_SETS", item);
+    const buckets = splitList(list, ",").map(Number);
+    if (!SET_NAME_RE.test(name) || name === "default" || name === "summary") {
+      throw new Error(`HTTP_BUCKET_SETS: invalid set name "${name}"`);
+    }
+    if (!buckets.length || buckets.some((b, i) => !(b > 0) || (i > 0 && b <= buckets[i - 1]))) {
+      throw new Error(`HTTP_BUCKET_SETS: buckets of "${name}" must be positive and increasing`);
+    }
+    sets.set(name, { name, metric: `http_request_duration_${name}_ms`, buckets });
+  }
+  return sets;
+}
+
+function compileGlob(pattern) {
+  return new RegExp(`^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+}
+
+function parseRouteBuckets(spec, sets) {
+  return splitList(spec, ";").map((item) => {
+    const [route, name] = splitEntry("HTTP_ROUTE_BUCKETS", item);
+    if (!sets.has(name)) throw new Error(`HTTP_ROUTE_BUCKETS: unknown bucket set "${name}" for ${route}`);
+    return { pattern: compileGlob(route), set: sets.get(name) };
+  });
+}
+
+const DEFAULT_SET = { name: "default", metric: "http_request_duration_ms", buckets: metrics.httpRequestDurationMs.upperBounds };
+const bucketSets = parseBucketSets(process.env.HTTP_BUCKET_SETS || "");
+const routeBuckets = parseRouteBuckets(process.env.HTTP_ROUTE_BUCKETS || "", bucketSets);
+// Both registries, like the metrics defined in metrics.js
+const registers = [metrics.register, metrics.openMetricsRegister];
+
+for (const set of bucketSets.values()) {
+  set.histogram = new client.Histogram({
+    name: set.metric,
+    help: `Duration of HTTP requests in milliseconds, for routes using the "${set.name}" bucket set`,
+    labelNames: ["method", "route", "status_code"],
+    buckets: set.buckets,
+    registers,
+  });
+}
+
+const durationSummary = SUMMARY_ENABLED
+  ? new client.Summary({
+      name: "http_request_duration_summary_ms",
+      help: `Quantiles of HTTP request duration in milliseconds over the last ${SUMMARY_WINDOW_SEC}s`,
+      labelNames: ["method", "route"],
+      percentiles: [0.5, 0.9, 0.95, 0.99],
+      maxAgeSeconds: SUMMARY_WINDOW_SEC,
+      ageBuckets: SUMMARY_AGE_BUCKETS,
+      registers,
+    })
+  : null;
+
+// Route labels are bounded, so the lookup can be cached per label
+const setByRoute = new Map();
+
+/**
+ * The extra bucket set a route label is recorded with, or null when it
+ * only goes to http_request_duration_ms.
+ */
+function bucketSetFor(route) {
+  if (!setByRoute.has(route)) {
+    const match = routeBuckets.find(({ pattern }) => pattern.test(route));
+    setByRoute.set(route, match ? match.set : null);
+  }
+  return setByRoute.get(route);
+}
+
+const describeSet = ({ name, metric, buckets }) => ({ name, metric, buckets });
+
+/**
+ * Histograms a route label is recorded in, as { name, metric, buckets }:
+ * its bucket set (if any) first, then the default.
+ */
+function latencyHistogramsFor(route) {
+  const set = bucketSetFor(route);
+  return set ? [describeSet(set), describeSet(DEFAULT_SET)] : [describeSet(DEFAULT_SET)];
+}
+
+// ─── Middleware ──────────────────────────────────────────────────────────────
+
+/**
+ * Express middleware recording request count, duration (with a trace_id
+ * exemplar) and in-flight requests. "close" without "finish" means the
+ * connection went away before a response was sent; recorded with
+ * status_code="aborted".
+ */
+function httpMetricsMiddleware(req, res, next) {
+  if (EXCLUDED_PATHS.includes(req.path)) return next();
+
+  metrics.httpRequestsInFlight.inc();
+  const start = process.hrtime.bigint();
+  let recorded = false;
+  const record = (statusCode) => {
+    if (recorded) return;
+    recorded = true;
+    const labels = { method: req.method, route: boundedRoute(normalizeRoute(req, res)), status_code: statusCode };
+    const value = Number(process.hrtime.bigint() - start) / 1e6;
+    metrics.httpRequestDurationMs.observe({
+      labels,
+      value,
+      exemplarLabels: req.span.sampled ? { trace_id: req.span.traceId } : {},
+    });
+    const set = bucketSetFor(labels.route);
+    if (set) set.histogram.observe(labels, value);
+    if (durationSummary) durationSummary.observe({ method: labels.method, route: labels.route }, value);
+    metrics.httpRequestsTotal.inc(labels);
+    metrics.httpRequestsInFlight.dec();
+  };
+  res.on("finish", () => record(res.statusCode));
+  res.on("close", () => record("aborted"));
+  next();
+}
+
+module.exports = {
+  httpMetricsMiddleware,
+  latencyHistogramsFor,
+};
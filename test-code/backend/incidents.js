@@ -0,0 +1,366 @@
+"use strict";
+
+const express = require("express");
+const path = require("path");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const generatorControl = require("./generatorControl");
+const { stream } = require("./random");
+const { runInBackground } = require("./requestContext");
+const { compileProfile, readDefinition, listDefinitions } = require("./scenarios");
+
+const INCIDENTS_DIR = path.join(__dirname, "incidents");
+const TICK_MS = 100;
+const MAX_RUNS = 20;
+const MAX_SPEED = 60;
+
+// Control endpoints are never slowed down or failed by an incident.
+const EXCLUDED_PATHS = ["/api/incidents", "/api/chaos", "/api/generator", "/api/logs/stream", "/api/loadtests", "/api/alerts/webhook", "/metrics"];
+
+const rng = stream("incidents");
+
+// ─── Definitions ─────────────────────────────────────────────────────────────
+
+// A number, or [from, to] interpolated across the phase.
+function valueAt(spec, progress) {
+  if (Array.isArray(spec)) return spec[0] + (spec[1] - spec[0]) * progress;
+  return spec || 0;
+}
+
+function compileEffect(effect, where) {
+  if (effect.latencyMs === undefined && effect.errorRate === undefined) {
+    throw new Error(`${where}: effect needs latencyMs and/or errorRate`);
+  }
+  return {
+    paths: effect.paths || ["/api/"],
+    methods: effect.methods ? effect.methods.map((m) => m.toUpperCase()) : null,
+    latencyMs: effect.latencyMs,
+    errorRate: effect.errorRate,
+    status: effect.status || 503,
+    message: effect.message || "Service unavailable",
+  };
+}
+
+/**
+ * Compile an incident definition: its scenarios go through the same
+ * compiler as generator profiles; phases are validated up front.
+ */
+function compileIncident(def) {
+  if (!Array.isArray(def.phases) || !def.phases.length) throw new Error("Incident must define a non-empty phases array");
+  const profile = compileProfile({ ...def, schedules: [] });
+
+  const phases = def.phases.map((phase, i) => {
+    const where = `phase "${phase.name || i}"`;
+    if (!phase.name) throw new Error(`phase ${i}: missing name`);
+    if (!(phase.durationSec > 0)) throw new Error(`${where}: durationSec must be positive`);
+    return {
+      name: phase.name,
+      durationSec: phase.durationSec,
+      events: (phase.events || []).map((event) => {
+        const scenario = profile.scenarios.get(event.scenario);
+        if (!scenario) throw new Error(`${where}: unknown scenario "${event.scenario}"`);
+        return { scenario, rate: event.rate };
+      }),
+      effects: (phase.effects || []).map((effect, j) => compileEffect(effect, `${where}.effects[${j}]`)),
+      paymentFailureRate: phase.paymentFailureRate,
+    };
+  });
+
+  return {
+    name: profile.name,
+    description: profile.description,
+    phases,
+    totalSec: phases.reduce((sum, p) => sum + p.durationSec, 0),
+  };
+}
+
+function loadIncident(name) {
+  return compileIncident(readDefinition(INCIDENTS_DIR, name));
+}
+
+function listIncidents() {
+  return listDefinitions(INCIDENTS_DIR);
+}
+
+// ─── Runs ────────────────────────────────────────────────────────────────────
+
+// The incident currently playing, if any, and recent runs (newest first).
+let active = null;
+const runs = [];
+
+function phaseProgress() {
+  const phase = active.incident.phases[active.phaseIndex];
+  const elapsed = ((Date.now() - active.phaseStartedAt) / 1000) * active.run.speed;
+  return Math.min(elapsed / phase.durationSec, 1);
+}
+
+function record(event, detail = {}) {
+  const run = active.run;
+  const phase = active.incident.phases[active.phaseIndex];
+  run.timeline.push({ at: new Date().toISOString(), phase: phase ? phase.name : null, event, ...detail });
+}
+
+function summary(run) {
+  const { timeline, ...rest } = run;
+  return { ...rest, timelineEntries: timeline.length };
+}
+
+function tick() {
+  const now = Date.now();
+  const dt = ((now - active.lastTick) / 1000) * active.run.speed;
+  active.lastTick = now;
+  const phase = active.incident.phases[active.phaseIndex];
+  const progress = phaseProgress();
+  const ctx = {
+    correlationId: active.run.correlationId,
+    incident: active.incident.name,
+    phase: phase.name,
+    progress,
+  };
+
+  phase.events.forEach((event, i) => {
+    active.pending[i] += valueAt(event.rate, progress) * dt;
+    while (active.pending[i] >= 1) {
+      active.pending[i] -= 1;
+      try {
+        event.scenario.emit(ctx);
+        active.run.eventsEmitted++;
+      } catch (err) {
+        logger.error("Incident scenario failed", { type: "incident", scenario: event.scenario.name, error: err.message });
+      }
+    }
+  });
+}
+
+function enterPhase(index) {
+  const { incident, run } = active;
+  const previous = incident.phases[active.phaseIndex];
+  if (previous) metrics.incidentActive.set({ incident: incident.name, phase: previous.name }, 0);
+
+  if (index >= incident.phases.length) return finish("completed");
+
+  const phase = incident.phases[index];
+  active.phaseIndex = index;
+  active.phaseStartedAt = Date.now();
+  active.pending = phase.events.map(() => 0);
+  metrics.incidentActive.set({ incident: incident.name, phase: phase.name }, 1);
+  record("phase_started", { durationSec: phase.durationSec });
+
+  logger.warn("Incident phase started", {
+    type: "incident",
+    event: "phase_started",
+    incident: incident.name,
+    phase: phase.name,
+    phaseIndex: index,
+    durationSec: phase.durationSec,
+    correlationId: run.correlationId,
+  });
+
+  active.phaseTimer = setTimeout(() => enterPhase(index + 1), (phase.durationSec * 1000) / run.speed);
+}
+
+function finish(status) {
+  const { incident, run } = active;
+  clearInterval(active.ticker);
+  clearTimeout(active.phaseTimer);
+  for (const phase of incident.phases) metrics.incidentActive.set({ incident: incident.name, phase: phase.name }, 0);
+
+  record(status);
+  run.status = status;
+  run.endedAt = new Date().toISOString();
+  logger[status === "completed" ? "info" : "warn"](status === "completed" ? "Incident resolved" : "Incident aborted", {
+    type: "incident",
+    event: status,
+    incident: incident.name,
+    correlationId: run.correlationId,
+    eventsEmitted: run.eventsEmitted,
+    faultsInjected: run.faultsInjected,
+  });
+
+  const generator = generatorControl.getGenerator();
+  if (active.pausedGenerator && generator && generator.state === "paused") generator.resume();
+  active = null;
+}
+
+/**
+ * Start playing `name`. `speed` compresses the timeline (2 = twice as fast,
+ * same number of events); `pauseGenerator` silences background traffic so
+ * only the incident's signals reach the pipeline.
+ */
+function startIncident(name, { speed = 1, pauseGenerator = false } = {}) {
+  if (active) throw Object.assign(new Error(`Incident ${active.incident.name} is already running`), { statusCode: 409 });
+  const incident = loadIncident(name);
+  const startedAt = Date.now();
+  const run = {
+    id: `inc_${startedAt}_${rng.id(4)}`,
+    incident: incident.name,
+    correlationId: `incident_${startedAt}_${rng.id(6)}`,
+    status: "running",
+    speed,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: null,
+    expectedDurationSec: incident.totalSec / speed,
+    eventsEmitted: 0,
+    faultsInjected: 0,
+    timeline: [],
+  };
+  runs.unshift(run);
+  runs.length = Math.min(runs.length, MAX_RUNS);
+
+  const generator = generatorControl.getGenerator();
+  const pausedGenerator = pauseGenerator && generator && generator.state === "running";
+  if (pausedGenerator) generator.pause();
+
+  active = { incident, run, phaseIndex: -1, phaseStartedAt: startedAt, lastTick: startedAt, pending: [], pausedGenerator };
+  logger.warn("Incident simulation started", {
+    type: "incident",
+    event: "started",
+    incident: incident.name,
+    runId: run.id,
+    correlationId: run.correlationId,
+    phases: incident.phases.map((p) => p.name),
+    speed,
+  });
+  // Started from an API request; the ticker and phase timers must not
+  // carry its request fields and trace for the whole incident
+  runInBackground(() => {
+    active.ticker = setInterval(tick, TICK_MS);
+    enterPhase(0);
+  });
+  return run;
+}
+
+function stopIncident() {
+  if (!active) return null;
+  const run = active.run;
+  finish("aborted");
+  return run;
+}
+
+// ─── Effects on real requests ────────────────────────────────────────────────
+
+function matchingEffects(req) {
+  if (!active || EXCLUDED_PATHS.some((p) => req.path.startsWith(p))) return [];
+  const phase = active.incident.phases[active.phaseIndex];
+  if (!phase) return [];
+  return phase.effects.filter(
+    (effect) => effect.paths.some((p) => req.path.startsWith(p)) && (!effect.methods || effect.methods.includes(req.method))
+  );
+}
+
+function countFault(fault) {
+  const phase = active.incident.phases[active.phaseIndex];
+  active.run.faultsInjected++;
+  metrics.incidentFaultsTotal.inc({ incident: active.incident.name, phase: phase.name, fault });
+}
+
+/**
+ * Express middleware applying the active phase's latency and error effects.
+ * Mount it after the metrics/logging middleware so injected latency and
+ * errors show up in http_request_duration_ms like real ones.
+ */
+function incidentMiddleware(req, res, next) {
+  const effects = matchingEffects(req);
+  if (!effects.length) return next();
+
+  const progress = phaseProgress();
+  const { correlationId } = active.run;
+  const phaseName = active.incident.phases[active.phaseIndex].name;
+  const latency = effects.reduce((sum, e) => sum + valueAt(e.latencyMs, progress), 0);
+  const failure = effects.find((e) => e.errorRate !== undefined && rng.random() < valueAt(e.errorRate, progress));
+
+  res.set("X-Correlation-Id", correlationId);
+  if (latency > 0) countFault("latency");
+
+  const proceed = () => {
+    if (!failure) return next();
+    if (active) countFault("error");
+    logger.error("Incident fault injected", {
+      type: "incident",
+      event: "fault_injected",
+      phase: phaseName,
+      method: req.method,
+      path: req.path,
+      statusCode: failure.status,
+      correlationId,
+    });
+    res.status(failure.status).json({ error: failure.message, correlationId });
+  };
+
+  if (latency > 0) setTimeout(proceed, latency);
+  else proceed();
+}
+
+/**
+ * Whether a payment attempt should fail under the active phase.
+ * Returns { reason, correlationId } to fail it, or null.
+ */
+function paymentFailure() {
+  if (!active) return null;
+  const phase = active.incident.phases[active.phaseIndex];
+  if (!phase || phase.paymentFailureRate === undefined) return null;
+  if (rng.random() >= valueAt(phase.paymentFailureRate, phaseProgress())) return null;
+  countFault("payment");
+  return { reason: "circuit_open", correlationId: active.run.correlationId };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  const available = [];
+  for (const name of listIncidents()) {
+    try {
+      const incident = loadIncident(name);
+      available.push({
+        name,
+        description: incident.description,
+        totalSec: incident.totalSec,
+        phases: incident.phases.map((p) => ({ name: p.name, durationSec: p.durationSec })),
+      });
+    } catch (err) {
+      available.push({ name, error: err.message });
+    }
+  }
+  res.json({ available, active: active ? summary(active.run) : null });
+});
+
+router.get("/runs", (req, res) => {
+  res.json(runs.map(summary));
+});
+
+router.get("/runs/:id", (req, res) => {
+  const run = runs.find((r) => r.id === req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json(run);
+});
+
+router.post("/stop", (req, res) => {
+  const run = stopIncident();
+  if (!run) return res.status(409).json({ error: "No incident is running" });
+  res.json(summary(run));
+});
+
+router.post("/:name/start", (req, res) => {
+  const { speed = 1, pauseGenerator = false } = req.body || {};
+  if (!listIncidents().includes(req.params.name)) return res.status(404).json({ error: "Incident not found" });
+  if (typeof speed !== "number" || !(speed > 0) || speed > MAX_SPEED) {
+    return res.status(400).json({ error: "Validation failed", details: [`speed must be a number between 0 and ${MAX_SPEED}`] });
+  }
+  try {
+    const run = startIncident(req.params.name, { speed, pauseGenerator: pauseGenerator === true });
+    res.status(202).json(summary(run));
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    logger.error("Incident failed to start", { type: "incident", incident: req.params.name, error: err.message });
+    res.status(422).json({ error: "Invalid incident", details: [err.message] });
+  }
+});
+
+module.exports = {
+  router,
+  incidentMiddleware,
+  paymentFailure,
+  startIncident,
+  stopIncident,
+};
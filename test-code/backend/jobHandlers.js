@@ -0,0 +1,125 @@
+"use strict";
+
+const { LogEntry, LOG_LEVELS, Job } = require("./models");
+
+/**
+ * Job types the queue can run. Each handler declares:
+ *   validate(params)  list of errors, checked when the job is enqueued
+ *   run(params)       does the work; the resolved value is stored as the
+ *                     job's result, a rejection counts as a failed attempt
+ *   timeoutMs         per attempt
+ *   concurrency       at most this many of the type run at once
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUERY_TIMEOUT_MS = 30000;
+const MAX_TOP_SOURCES = 100;
+const CLEANUP_TARGETS = ["logs", "jobs"];
+
+// ISO-8601 or epoch milliseconds
+function parseTime(value) {
+  if (value === undefined) return null;
+  const date = typeof value === "number" || /^\d+$/.test(value) ? new Date(Number(value)) : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// ─── report_generate ─────────────────────────────────────────────────────────
+
+/**
+ * Summary of stored log entries over [from, to): counts per level, error
+ * ratio and the busiest sources. Defaults to the last 24 hours.
+ */
+const reportGenerate = {
+  timeoutMs: 60000,
+  concurrency: 1,
+
+  validate(params) {
+    const errors = [];
+    if (parseTime(params.from) === undefined) errors.push("from must be an ISO-8601 date or epoch milliseconds");
+    if (parseTime(params.to) === undefined) errors.push("to must be an ISO-8601 date or epoch milliseconds");
+    if (params.topSources !== undefined && !(Number.isInteger(params.topSources) && params.topSources >= 1 && params.topSources <= MAX_TOP_SOURCES)) {
+      errors.push(`topSources must be an integer between 1 and ${MAX_TOP_SOURCES}`);
+    }
+    return errors;
+  },
+
+  async run(params) {
+    const to = parseTime(params.to) || new Date();
+    const from = parseTime(params.from) || new Date(to.getTime() - DAY_MS);
+    const match = { $match: { timestamp: { $gte: from, $lt: to } } };
+
+    const [levels, sources] = await Promise.all([
+      LogEntry.aggregate([match, { $group: { _id: "$level", count: { $sum: 1 } } }]).option({ maxTimeMS: QUERY_TIMEOUT_MS }),
+      LogEntry.aggregate([
+        match,
+        { $group: { _id: "$source", count: { $sum: 1 }, errors: { $sum: { $cond: [{ $eq: ["$level", "error"] }, 1, 0] } } } },
+        { $sort: { count: -1 } },
+        { $limit: params.topSources || 10 },
+      ]).option({ maxTimeMS: QUERY_TIMEOUT_MS }),
+    ]);
+
+    const byLevel = Object.fromEntries(LOG_LEVELS.map((level) => [level, 0]));
+    for (const { _id, count } of levels) byLevel[_id] = count;
+    const total = levels.reduce((sum, { count }) => sum + count, 0);
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      total,
+      byLevel,
+      errorRatio: total ? Math.round((byLevel.error / total) * 10000) / 10000 : 0,
+      topSources: sources.map(({ _id, count, errors }) => ({ source: _id || null, count, errors })),
+    };
+  },
+};
+
+// ─── data_cleanup ────────────────────────────────────────────────────────────
+
+/**
+ * Delete log entries (optionally only some levels) or finished jobs older
+ * than olderThanDays. dryRun only counts them.
+ */
+const dataCleanup = {
+  timeoutMs: 120000,
+  concurrency: 1,
+
+  validate(params) {
+    const errors = [];
+    if (params.target !== undefined && !CLEANUP_TARGETS.includes(params.target)) {
+      errors.push(`target must be one of ${CLEANUP_TARGETS.join(", ")}`);
+    }
+    if (!(typeof params.olderThanDays === "number" && params.olderThanDays >= 1)) errors.push("olderThanDays must be a number of at least 1");
+    if (params.levels !== undefined) {
+      if (params.target === "jobs") errors.push("levels only applies to target logs");
+      else if (!(Array.isArray(params.levels) && params.levels.every((l) => LOG_LEVELS.includes(l)))) {
+        errors.push(`levels must be an array of ${LOG_LEVELS.join(", ")}`);
+      }
+    }
+    if (params.dryRun !== undefined && typeof params.dryRun !== "boolean") errors.push("dryRun must be a boolean");
+    return errors;
+  },
+
+  async run(params) {
+    const target = params.target || "logs";
+    const cutoff = new Date(Date.now() - params.olderThanDays * DAY_MS);
+    const [model, filter] =
+      target === "logs"
+        ? [LogEntry, { timestamp: { $lt: cutoff }, ...(params.levels ? { level: { $in: params.levels } } : {}) }]
+        : [Job, { status: { $in: ["completed", "dead"] }, finishedAt: { $lt: cutoff } }];
+
+    if (params.dryRun) {
+      const matched = await model.countDocuments(filter).maxTimeMS(QUERY_TIMEOUT_MS);
+      return { target, cutoff: cutoff.toISOString(), dryRun: true, matched };
+    }
+    const { deletedCount } = await model.deleteMany(filter);
+    return { target, cutoff: cutoff.toISOString(), deleted: deletedCount };
+  },
+};
+
+const handlers = {
+  report_generate: reportGenerate,
+  data_cleanup: dataCleanup,
+};
+
+module.exports = {
+  handlers,
+};
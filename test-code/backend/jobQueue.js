@@ -0,0 +1,412 @@
+"use strict";
+
+const os = require("os");
+const express = require("express");
+const mongoose = require("mongoose");
+const logger = require("./logger");
+const tracing = require("./tracing");
+const { runInBackground } = require("./requestContext");
+const metrics = require("./metrics");
+const { Job, JOB_QUEUES, JOB_STATUSES } = require("./models");
+const { handlers } = require("./jobHandlers");
+
+/**
+ * Background job queue stored in MongoDB, so queued jobs survive restarts.
+ * Jobs are claimed high > default > low, then oldest first. A failed attempt
+ * is retried with exponential backoff until maxAttempts, after which the
+ * job is dead-lettered until retried through the API. A claimed job holds
+ * a lease; if the process dies mid-job, the job is picked up again once
+ * the lease expires.
+ *
+ *   POST /api/jobs                 enqueue { type, params, queue, maxAttempts, delayMs }
+ *   GET  /api/jobs                 newest first; filters status, type, queue
+ *   GET  /api/jobs/stats           jobs per queue and status, job types
+ *   GET  /api/jobs/:jobId          one job with its result or last error
+ *   POST /api/jobs/:jobId/retry    move a dead job back to its queue
+ *
+ *   JOBS_CONCURRENCY          jobs running at once in this process (2)
+ *   JOBS_POLL_INTERVAL_MS     how often to look for due jobs (1000)
+ *   JOBS_MAX_ATTEMPTS         default attempts per job (3)
+ *   JOBS_BACKOFF_BASE_MS      first retry delay, doubled per attempt up to 5 minutes (5000)
+ *   JOBS_METRICS_INTERVAL_MS  queue gauges and "Queue metrics" log lines (15000)
+ */
+
+const CONCURRENCY = parseInt(process.env.JOBS_CONCURRENCY || "2", 10);
+const POLL_INTERVAL_MS = parseInt(process.env.JOBS_POLL_INTERVAL_MS || "1000", 10);
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOBS_MAX_ATTEMPTS || "3", 10);
+const BACKOFF_BASE_MS = parseInt(process.env.JOBS_BACKOFF_BASE_MS || "5000", 10);
+const METRICS_INTERVAL_MS = parseInt(process.env.JOBS_METRICS_INTERVAL_MS || "15000", 10);
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS_LIMIT = 10;
+const MAX_DELAY_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Long enough for the slowest handler, so a live job is never claimed twice
+const LEASE_MS = Math.max(...Object.values(handlers).map((h) => h.timeoutMs)) + 30000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const QUEUES = Object.keys(JOB_QUEUES);
+
+// ─── Worker ──────────────────────────────────────────────────────────────────
+
+let stopped = true;
+let ticking = false;
+let running = 0;
+const runningByType = new Map();
+let pollTimer = null;
+let metricsTimer = null;
+
+// Finished attempts per queue since the last "Queue metrics" report
+const intervalStats = Object.fromEntries(QUEUES.map((queue) => [queue, { completed: 0, failed: 0, totalDuration: 0 }]));
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+function newJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function backoffMs(attempt) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Claim the next due job whose type still has a free slot: a queued job
+ * past its runAt, or a running one whose lease expired.
+ */
+function claim() {
+  const now = new Date();
+  const types = Object.keys(handlers).filter((type) => (runningByType.get(type) || 0) < handlers[type].concurrency);
+  if (!types.length) return null;
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [{ status: "queued", runAt: { $lte: now } }, { status: "running", lockedUntil: { $lt: now } }],
+    },
+    {
+      $set: { status: "running", lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LEASE_MS), startedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true }
+  );
+}
+
+function finishAttempt(job, outcome, duration, err) {
+  const labels = { job_type: job.type, queue: job.queue, status: outcome };
+  metrics.jobsCompletedTotal.inc(labels);
+  metrics.jobDurationMs.observe(labels, duration);
+  const stats = intervalStats[job.queue];
+  stats[outcome === "success" ? "completed" : "failed"]++;
+  stats.totalDuration += duration;
+
+  if (outcome === "retry") {
+    logger.warn("Background job failed, retrying", {
+      type: "worker",
+      event: "job_retry",
+      jobId: job.jobId,
+      jobType: job.type,
+      queue: job.queue,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      retryInMs: backoffMs(job.attempts),
+      duration,
+      error: err.message,
+    });
+    return;
+  }
+  logger[outcome === "success" ? "info" : "error"]("Background job completed", {
+    type: "worker",
+    event: "job_completed",
+    jobId: job.jobId,
+    jobType: job.type,
+    duration,
+    success: outcome === "success",
+    retries: job.attempts - 1,
+    queue: job.queue,
+    error: err ? err.message : undefined,
+    deadLettered: outcome === "failed" || undefined,
+  });
+}
+
+async function execute(job) {
+  const handler = handlers[job.type];
+  running++;
+  runningByType.set(job.type, (runningByType.get(job.type) || 0) + 1);
+  metrics.jobsRunning.inc({ queue: job.queue });
+  const start = Date.now();
+  const owned = { _id: job._id, lockedBy: WORKER_ID };
+  const release = { lockedBy: 1, lockedUntil: 1 };
+
+  try {
+    let outcome;
+    let error;
+    let update;
+    try {
+      const result = await withTimeout(handler.run(job.params || {}), handler.timeoutMs);
+      outcome = "success";
+      update = { $set: { status: "completed", result, finishedAt: new Date(), duration: Date.now() - start }, $unset: { ...release, lastError: 1 } };
+    } catch (err) {
+      error = err;
+      tracing.currentSpan().recordException(err);
+      const retry = job.attempts < job.maxAttempts;
+      outcome = retry ? "retry" : "failed";
+      update = retry
+        ? { $set: { status: "queued", runAt: new Date(Date.now() + backoffMs(job.attempts)), lastError: err.message }, $unset: release }
+        : { $set: { status: "dead", finishedAt: new Date(), duration: Date.now() - start, lastError: err.message }, $unset: release };
+    }
+    // If this fails the lease runs out and the job is attempted again
+    await Job.updateOne(owned, update);
+    finishAttempt(job, outcome, Date.now() - start, error);
+  } catch (err) {
+    logger.error("Failed to record job outcome", { type: "worker", event: "job_update_failed", jobId: job.jobId, jobType: job.type, error: err.message });
+  } finally {
+    running--;
+    runningByType.set(job.type, runningByType.get(job.type) - 1);
+    metrics.jobsRunning.dec({ queue: job.queue });
+    // Outside this job's span: the next claim belongs to no job yet
+    runInBackground(() => setImmediate(tick));
+  }
+}
+
+// Fill every free slot with a due job
+async function tick() {
+  if (stopped || ticking) return;
+  ticking = true;
+  try {
+    while (!stopped && running < CONCURRENCY && isConnected()) {
+      const job = await claim();
+      if (!job) break;
+      // Each attempt is its own trace, whatever context the tick ran in
+      const span = tracing.startSpan(`job ${job.type}`, {
+        root: true,
+        attributes: { "job.id": job.jobId, "job.queue": job.queue, "job.attempt": job.attempts },
+      });
+      tracing.withSpan(span, () => execute(job)).finally(() => span.end());
+    }
+  } catch (err) {
+    logger.error("Failed to claim job", { type: "worker", event: "job_claim_failed", error: err.message });
+  } finally {
+    ticking = false;
+  }
+}
+
+// ─── Queue metrics ───────────────────────────────────────────────────────────
+
+async function countByQueue() {
+  const counts = Object.fromEntries(QUEUES.map((queue) => [queue, Object.fromEntries(JOB_STATUSES.map((s) => [s, 0]))]));
+  const groups = await Job.aggregate([{ $group: { _id: { queue: "$queue", status: "$status" }, count: { $sum: 1 } } }]).option({ maxTimeMS: 5000 });
+  for (const { _id, count } of groups) {
+    if (counts[_id.queue]) counts[_id.queue][_id.status] = count;
+  }
+  return counts;
+}
+
+async function reportQueues() {
+  if (!isConnected()) return;
+  const counts = await countByQueue();
+  for (const queue of QUEUES) {
+    const { queued, running: processing, dead } = counts[queue];
+    const stats = intervalStats[queue];
+    const finished = stats.completed + stats.failed;
+    metrics.queueDepth.set({ queue }, queued);
+    metrics.jobsDeadLetter.set({ queue }, dead);
+    if (queued || processing || finished) {
+      logger.info("Queue metrics", {
+        type: "worker",
+        event: "queue_metrics",
+        queue,
+        pending: queued,
+        processing,
+        completed: stats.completed,
+        failed: stats.failed,
+        deadLetter: dead,
+        avgProcessingTime: finished ? Math.round(stats.totalDuration / finished) : 0,
+      });
+    }
+    intervalStats[queue] = { completed: 0, failed: 0, totalDuration: 0 };
+  }
+}
+
+function start() {
+  if (!stopped) return;
+  stopped = false;
+  pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  metricsTimer = setInterval(
+    () => reportQueues().catch((err) => logger.error("Queue metrics failed", { type: "worker", event: "queue_metrics_failed", error: err.message })),
+    METRICS_INTERVAL_MS
+  );
+  metricsTimer.unref();
+  logger.info("Job worker started", {
+    type: "startup",
+    event: "job_worker_started",
+    workerId: WORKER_ID,
+    concurrency: CONCURRENCY,
+    jobTypes: Object.keys(handlers),
+  });
+}
+
+/**
+ * Stop claiming jobs. Resolves once the running ones have finished; any
+ * that never do are picked up again after their lease.
+ */
+function stop() {
+  stopped = true;
+  clearInterval(pollTimer);
+  clearInterval(metricsTimer);
+  return new Promise((resolve) => {
+    const check = () => (running === 0 ? resolve() : setTimeout(check, 100));
+    check();
+  });
+}
+
+// ─── Enqueue validation ──────────────────────────────────────────────────────
+
+/**
+ * Validate an enqueue request. Returns { job } ready to insert, or { errors }.
+ */
+function parseJob(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { errors: ["body must be a JSON object"] };
+  const errors = [];
+  const handler = handlers[body.type];
+  if (!handler) errors.push(`type must be one of ${Object.keys(handlers).join(", ")}`);
+  const params = body.params === undefined ? {} : body.params;
+  if (!params || typeof params !== "object" || Array.isArray(params)) errors.push("params must be an object");
+  else if (handler) errors.push(...handler.validate(params).map((e) => `params.${e}`));
+  const queue = body.queue === undefined ? "default" : body.queue;
+  if (!QUEUES.includes(queue)) errors.push(`queue must be one of ${QUEUES.join(", ")}`);
+  const maxAttempts = body.maxAttempts === undefined ? DEFAULT_MAX_ATTEMPTS : body.maxAttempts;
+  if (!(Number.isInteger(maxAttempts) && maxAttempts >= 1 && maxAttempts <= MAX_ATTEMPTS_LIMIT)) {
+    errors.push(`maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}`);
+  }
+  const delayMs = body.delayMs === undefined ? 0 : body.delayMs;
+  if (!(Number.isInteger(delayMs) && delayMs >= 0 && delayMs <= MAX_DELAY_MS)) errors.push(`delayMs must be an integer between 0 and ${MAX_DELAY_MS}`);
+  if (errors.length) return { errors };
+
+  return {
+    job: {
+      jobId: newJobId(),
+      type: body.type,
+      queue,
+      priority: JOB_QUEUES[queue],
+      params,
+      maxAttempts,
+      runAt: new Date(Date.now() + delayMs),
+    },
+  };
+}
+
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function toJSON(job) {
+  const { _id, __v, priority, ...rest } = job.toObject();
+  return rest;
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+router.post("/", async (req, res) => {
+  const { job, errors } = parseJob(req.body);
+  if (errors) {
+    logger.warn("Job rejected", { type: "worker", event: "job_rejected", errors });
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+  try {
+    const created = await Job.create(job);
+    logger.info("Job enqueued", { type: "worker", event: "job_enqueued", jobId: created.jobId, jobType: created.type, queue: created.queue });
+    // Not inside this request: the tick may run any due job, not just this one
+    runInBackground(() => setImmediate(tick));
+    res.status(201).json(toJSON(created));
+  } catch (err) {
+    logger.error("Failed to enqueue job", { type: "worker", event: "job_enqueue_failed", jobType: job.type, error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/", async (req, res) => {
+  const filter = {};
+  const errors = [];
+  if (req.query.status !== undefined) {
+    if (!JOB_STATUSES.includes(req.query.status)) errors.push(`status must be one of ${JOB_STATUSES.join(", ")}`);
+    else filter.status = req.query.status;
+  }
+  if (req.query.queue !== undefined) {
+    if (!QUEUES.includes(req.query.queue)) errors.push(`queue must be one of ${QUEUES.join(", ")}`);
+    else filter.queue = req.query.queue;
+  }
+  if (req.query.type) filter.type = String(req.query.type);
+  if (errors.length) return res.status(400).json({ error: "Invalid query", details: errors });
+  const { page, limit, skip } = parsePagination(req.query);
+
+  try {
+    const [jobs, total] = await Promise.all([Job.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit), Job.countDocuments(filter)]);
+    res.json({ data: jobs.map(toJSON), page, limit, total, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    logger.error("Failed to list jobs", { type: "worker", event: "job_list_failed", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/stats", async (req, res) => {
+  try {
+    res.json({
+      queues: await countByQueue(),
+      types: Object.entries(handlers).map(([type, h]) => ({ type, timeoutMs: h.timeoutMs, concurrency: h.concurrency })),
+      worker: { id: WORKER_ID, running, concurrency: CONCURRENCY, stopped },
+    });
+  } catch (err) {
+    logger.error("Failed to read job stats", { type: "worker", event: "job_stats_failed", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/:jobId", async (req, res) => {
+  try {
+    const job = await Job.findOne({ jobId: req.params.jobId });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(toJSON(job));
+  } catch (err) {
+    logger.error("Failed to fetch job", { type: "worker", jobId: req.params.jobId, error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.post("/:jobId/retry", async (req, res) => {
+  try {
+    const job = await Job.findOneAndUpdate(
+      { jobId: req.params.jobId, status: "dead" },
+      { $set: { status: "queued", attempts: 0, runAt: new Date() }, $unset: { lastError: 1, finishedAt: 1, duration: 1, result: 1 } },
+      { new: true }
+    );
+    if (!job) {
+      const existing = await Job.findOne({ jobId: req.params.jobId });
+      if (!existing) return res.status(404).json({ error: "Job not found" });
+      return res.status(409).json({ error: `Only dead jobs can be retried (job is ${existing.status})` });
+    }
+    logger.warn("Job requeued", { type: "worker", event: "job_requeued", jobId: job.jobId, jobType: job.type, queue: job.queue });
+    // Not inside this request: the tick may run any due job, not just this one
+    runInBackground(() => setImmediate(tick));
+    res.json(toJSON(job));
+  } catch (err) {
+    logger.error("Failed to retry job", { type: "worker", jobId: req.params.jobId, error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = {
+  router,
+  start,
+  stop,
+};
@@ -0,0 +1,393 @@
+"use strict";
+
+const express = require("express");
+const logger = require("./logger");
+const { stream } = require("./random");
+const { runInBackground } = require("./requestContext");
+
+/**
+ * Server-side load generator against this backend's own routes. Two
+ * arrival models:
+ *   closed  `concurrency` workers each send the next request as soon as the
+ *           previous one finishes (default)
+ *   open    requests start at `ratePerSec` regardless of response times,
+ *           with at most `concurrency` in flight; arrivals beyond that are
+ *           counted as skipped rather than queued
+ * A run stops after `requests` requests or `durationSec` seconds, whichever
+ * is configured, or when stopped through the API.
+ *
+ * Only paths on this server can be targeted, so the endpoint cannot be used
+ * to send traffic anywhere else.
+ */
+
+const BASE_URL = process.env.LOAD_TEST_BASE_URL || "http://127.0.0.1:5000";
+const MAX_RUNS = 20;
+const MAX_CONCURRENCY = 200;
+const MAX_DURATION_SEC = 600;
+const MAX_REQUESTS = 100000;
+const MAX_RATE = 1000;
+const TICK_MS = 50;
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+const DEFAULT_TARGETS = [
+  { method: "GET", path: "/api/health", weight: 1 },
+  { method: "GET", path: "/api/logs", weight: 1 },
+  { method: "GET", path: "/api/simulate/error", weight: 1 },
+  { method: "GET", path: "/api/simulate/warning", weight: 1 },
+  { method: "GET", path: "/api/simulate/auth-fail", weight: 1 },
+  { method: "GET", path: "/api/simulate/slow", weight: 1 },
+];
+
+const rng = stream("loadtest");
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+function isIntIn(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a run request and fill in defaults. Returns { config } or
+ * { errors }.
+ */
+function parseConfig(body) {
+  const errors = [];
+  const targets = body.targets === undefined ? DEFAULT_TARGETS : body.targets;
+  if (!Array.isArray(targets) || !targets.length) {
+    errors.push("targets must be a non-empty array");
+  } else {
+    targets.forEach((t, i) => {
+      if (!t || typeof t.path !== "string" || !t.path.startsWith("/") || t.path.startsWith("//")) {
+        errors.push(`targets[${i}].path must be a path on this server, starting with /`);
+      }
+      if (t && t.method !== undefined && !METHODS.includes(String(t.method).toUpperCase())) {
+        errors.push(`targets[${i}].method must be one of ${METHODS.join(", ")}`);
+      }
+      if (t && t.weight !== undefined && !(typeof t.weight === "number" && t.weight > 0)) {
+        errors.push(`targets[${i}].weight must be a positive number`);
+      }
+    });
+  }
+
+  const concurrency = body.concurrency === undefined ? 10 : body.concurrency;
+  if (!isIntIn(concurrency, 1, MAX_CONCURRENCY)) errors.push(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+
+  if (body.durationSec === undefined && body.requests === undefined) errors.push("one of durationSec or requests is required");
+  if (body.durationSec !== undefined && !(typeof body.durationSec === "number" && body.durationSec > 0 && body.durationSec <= MAX_DURATION_SEC)) {
+    errors.push(`durationSec must be a number between 0 and ${MAX_DURATION_SEC}`);
+  }
+  if (body.requests !== undefined && !isIntIn(body.requests, 1, MAX_REQUESTS)) {
+    errors.push(`requests must be an integer between 1 and ${MAX_REQUESTS}`);
+  }
+  if (body.ratePerSec !== undefined && !(typeof body.ratePerSec === "number" && body.ratePerSec > 0 && body.ratePerSec <= MAX_RATE)) {
+    errors.push(`ratePerSec must be a number between 0 and ${MAX_RATE}`);
+  }
+  const timeoutMs = body.timeoutMs === undefined ? 10000 : body.timeoutMs;
+  if (!isIntIn(timeoutMs, 1, 60000)) errors.push("timeoutMs must be an integer between 1 and 60000");
+
+  if (errors.length) return { errors };
+  return {
+    config: {
+      targets: targets.map((t) => ({ method: String(t.method || "GET").toUpperCase(), path: t.path, weight: t.weight || 1, body: t.body })),
+      concurrency,
+      durationSec: body.durationSec,
+      requests: body.requests,
+      ratePerSec: body.ratePerSec,
+      mode: body.ratePerSec ? "open" : "closed",
+      timeoutMs,
+    },
+  };
+}
+
+// ─── Statistics ──────────────────────────────────────────────────────────────
+
+// Latencies go into log-spaced buckets, each 2% wider than the one before,
+// so a run's memory stays bounded however many requests it sends.
+// Percentiles are accurate to within 2%; min, max and mean are exact.
+const BUCKET_GROWTH = 1.02;
+const BUCKET_BASE_MS = 0.001;
+const LOG_GROWTH = Math.log(BUCKET_GROWTH);
+
+function emptyLatencies() {
+  return { count: 0, sum: 0, min: Infinity, max: -Infinity, buckets: new Map() };
+}
+
+function recordLatency(latencies, ms) {
+  const index = Math.max(0, Math.ceil(Math.log(Math.max(ms, BUCKET_BASE_MS) / BUCKET_BASE_MS) / LOG_GROWTH));
+  latencies.buckets.set(index, (latencies.buckets.get(index) || 0) + 1);
+  latencies.count++;
+  latencies.sum += ms;
+  latencies.min = Math.min(latencies.min, ms);
+  latencies.max = Math.max(latencies.max, ms);
+}
+
+// Nearest-rank percentiles: the upper bound of the bucket holding each rank,
+// clamped to the observed range
+function percentiles(latencies, qs) {
+  const ranks = qs.map((q) => Math.max(1, Math.ceil(q * latencies.count)));
+  const out = new Array(qs.length).fill(null);
+  let seen = 0;
+  for (const index of [...latencies.buckets.keys()].sort((a, b) => a - b)) {
+    seen += latencies.buckets.get(index);
+    ranks.forEach((rank, i) => {
+      if (out[i] === null && seen >= rank) out[i] = Math.min(Math.max(BUCKET_BASE_MS * BUCKET_GROWTH ** index, latencies.min), latencies.max);
+    });
+  }
+  return out;
+}
+
+function latencySummary(latencies) {
+  const round = (v) => (v === null ? null : Number(v.toFixed(2)));
+  if (!latencies.count) return { min: null, mean: null, p50: null, p95: null, p99: null, max: null };
+  const [p50, p95, p99] = percentiles(latencies, [0.5, 0.95, 0.99]);
+  return {
+    min: round(latencies.min),
+    mean: round(latencies.sum / latencies.count),
+    p50: round(p50),
+    p95: round(p95),
+    p99: round(p99),
+    max: round(latencies.max),
+  };
+}
+
+function emptyStats() {
+  return { requests: 0, statusCodes: {}, errors: {}, latencies: emptyLatencies() };
+}
+
+function record(stats, result) {
+  stats.requests++;
+  if (result.status) stats.statusCodes[result.status] = (stats.statusCodes[result.status] || 0) + 1;
+  else stats.errors[result.error] = (stats.errors[result.error] || 0) + 1;
+  recordLatency(stats.latencies, result.latencyMs);
+}
+
+function report(run) {
+  const { stats } = run;
+  const endedAt = run.endedAt ? Date.parse(run.endedAt) : Date.now();
+  const elapsedSec = (endedAt - Date.parse(run.startedAt)) / 1000;
+  const count = (predicate) => Object.entries(stats.statusCodes).filter(([code]) => predicate(Number(code))).reduce((sum, [, n]) => sum + n, 0);
+  const networkErrors = Object.values(stats.errors).reduce((sum, n) => sum + n, 0);
+
+  return {
+    id: run.id,
+    status: run.status,
+    config: run.config,
+    startedAt: run.startedAt,
+    endedAt: run.endedAt,
+    elapsedSec: Number(elapsedSec.toFixed(2)),
+    totals: {
+      requests: stats.requests,
+      succeeded: count((code) => code < 400),
+      failed: count((code) => code >= 400),
+      errors: networkErrors,
+      skipped: run.skipped,
+      inFlight: run.inFlight,
+      throughput: Number((stats.requests / Math.max(elapsedSec, 0.001)).toFixed(2)),
+    },
+    statusCodes: stats.statusCodes,
+    errors: stats.errors,
+    latencyMs: latencySummary(stats.latencies),
+    targets: run.config.targets.map((target, i) => {
+      const t = run.targetStats[i];
+      return {
+        method: target.method,
+        path: target.path,
+        requests: t.requests,
+        statusCodes: t.statusCodes,
+        errors: t.errors,
+        latencyMs: latencySummary(t.latencies),
+      };
+    }),
+  };
+}
+
+// ─── Runs ────────────────────────────────────────────────────────────────────
+
+// The run in progress, if any, and recent runs (newest first).
+let active = null;
+const runs = [];
+
+function pickTarget(targets) {
+  const total = targets.reduce((sum, t) => sum + t.weight, 0);
+  let r = rng.random() * total;
+  for (let i = 0; i < targets.length; i++) {
+    r -= targets[i].weight;
+    if (r < 0) return i;
+  }
+  return targets.length - 1;
+}
+
+async function sendOne(run) {
+  const index = pickTarget(run.config.targets);
+  const target = run.config.targets[index];
+  const started = process.hrtime.bigint();
+  let result;
+  run.inFlight++;
+  run.sent++;
+  try {
+    const res = await fetch(`${BASE_URL}${target.path}`, {
+      method: target.method,
+      headers: { "Content-Type": "application/json", "User-Agent": "test-backend-loadtest", "X-Load-Test-Id": run.id },
+      body: target.body === undefined || target.method === "GET" ? undefined : JSON.stringify(target.body),
+      signal: AbortSignal.timeout(run.config.timeoutMs),
+    });
+    await res.arrayBuffer();
+    result = { status: res.status };
+  } catch (err) {
+    result = { error: err.name === "TimeoutError" ? "timeout" : (err.cause && err.cause.code) || err.message };
+  }
+  result.latencyMs = Number(process.hrtime.bigint() - started) / 1e6;
+  run.inFlight--;
+  record(run.stats, result);
+  record(run.targetStats[index], result);
+}
+
+function shouldContinue(run) {
+  if (run.status !== "running") return false;
+  if (run.config.requests !== undefined && run.sent >= run.config.requests) return false;
+  if (run.config.durationSec !== undefined && Date.now() >= run.deadline) return false;
+  return true;
+}
+
+async function closedLoop(run) {
+  const worker = async () => {
+    while (shouldContinue(run)) await sendOne(run);
+  };
+  await Promise.all(Array.from({ length: run.config.concurrency }, worker));
+}
+
+async function openLoop(run) {
+  const pending = new Set();
+  let due = 0;
+  let last = Date.now();
+  while (shouldContinue(run)) {
+    await new Promise((resolve) => setTimeout(resolve, TICK_MS));
+    const now = Date.now();
+    due += ((now - last) / 1000) * run.config.ratePerSec;
+    last = now;
+    while (due >= 1 && shouldContinue(run)) {
+      due -= 1;
+      if (run.inFlight >= run.config.concurrency) {
+        run.skipped++;
+        continue;
+      }
+      const p = sendOne(run).finally(() => pending.delete(p));
+      pending.add(p);
+    }
+  }
+  await Promise.all(pending);
+}
+
+function startRun(config) {
+  if (active) throw Object.assign(new Error(`Load test ${active.id} is already running`), { statusCode: 409 });
+  const startedAt = Date.now();
+  const run = {
+    id: `lt_${startedAt}_${rng.id(4)}`,
+    status: "running",
+    config,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: null,
+    deadline: config.durationSec !== undefined ? startedAt + config.durationSec * 1000 : Infinity,
+    sent: 0,
+    inFlight: 0,
+    skipped: 0,
+    stats: emptyStats(),
+    targetStats: config.targets.map(emptyStats),
+  };
+  runs.unshift(run);
+  runs.length = Math.min(runs.length, MAX_RUNS);
+  active = run;
+
+  logger.info("Load test started", {
+    type: "loadtest",
+    event: "started",
+    runId: run.id,
+    mode: config.mode,
+    concurrency: config.concurrency,
+    durationSec: config.durationSec,
+    requests: config.requests,
+    ratePerSec: config.ratePerSec,
+    targets: config.targets.map((t) => `${t.method} ${t.path}`),
+  });
+
+  // Outlives the request that started it, so it must not carry its context
+  runInBackground(() =>
+    (config.mode === "open" ? openLoop(run) : closedLoop(run))
+      .then(() => {
+        if (run.status === "running") run.status = "completed";
+      })
+      .catch((err) => {
+        run.status = "failed";
+        run.error = err.message;
+      })
+      .finally(() => {
+        run.endedAt = new Date().toISOString();
+        active = null;
+        const { totals, latencyMs } = report(run);
+        logger[run.status === "failed" ? "error" : "info"]("Load test finished", {
+          type: "loadtest",
+          event: run.status,
+          runId: run.id,
+          ...totals,
+          p50: latencyMs.p50,
+          p95: latencyMs.p95,
+          p99: latencyMs.p99,
+          error: run.error,
+        });
+      })
+  );
+  return run;
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+function findRun(req, res, next) {
+  req.run = runs.find((r) => r.id === req.params.id);
+  if (!req.run) return res.status(404).json({ error: "Load test not found" });
+  next();
+}
+
+router.get("/", (req, res) => {
+  res.json({ active: active ? active.id : null, runs: runs.map((run) => ({ ...report(run), targets: undefined })) });
+});
+
+router.post("/", (req, res) => {
+  const { config, errors } = parseConfig(req.body || {});
+  if (errors) return res.status(400).json({ error: "Validation failed", details: errors });
+  try {
+    const run = startRun(config);
+    res.status(202).json(report(run));
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    throw err;
+  }
+});
+
+router.get("/:id", findRun, (req, res) => {
+  res.json(report(req.run));
+});
+
+// The same report as a file download
+router.get("/:id/report.json", findRun, (req, res) => {
+  res.set("Content-Disposition", `attachment; filename="${req.run.id}.json"`);
+  res.type("application/json").send(JSON.stringify(report(req.run), null, 2));
+});
+
+router.post("/:id/stop", findRun, (req, res) => {
+  if (req.run.status !== "running") return res.status(409).json({ error: `Load test is already ${req.run.status}` });
+  req.run.status = "stopped";
+  logger.warn("Load test stopped", { type: "loadtest", event: "stop_requested", runId: req.run.id });
+  res.json(report(req.run));
+});
+
+// Stop the running load test, if any (on shutdown)
+function stopActive() {
+  if (!active) return null;
+  active.status = "stopped";
+  return active;
+}
+
+module.exports = {
+  router,
+  stopActive,
+};
@@ -0,0 +1,123 @@
+"use strict";
+
+const express = require("express");
+const winston = require("winston");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+/**
+ * Live tail of the winston stream over Server-Sent Events. A transport on
+ * the shared logger fans every formatted (and therefore redacted) line out
+ * to connected clients, each with its own level/type/service filter. The
+ * last BACKLOG_SIZE lines are kept so a new or reconnecting client starts
+ * with context instead of an empty screen.
+ */
+
+const MESSAGE = Symbol.for("message");
+const BACKLOG_SIZE = 500;
+const DEFAULT_BACKLOG = 50;
+const HEARTBEAT_MS = 15000;
+// A client this far behind is skipped until its socket drains
+const MAX_CLIENT_BUFFER_BYTES = 1024 * 1024;
+const FILTER_FIELDS = ["level", "type", "service"];
+
+const clients = new Set();
+const backlog = [];
+let nextId = 1;
+
+// ─── Fan-out ─────────────────────────────────────────────────────────────────
+function matches(filters, event) {
+  return FILTER_FIELDS.every((field) => !filters[field] || filters[field].has(String(event[field])));
+}
+
+function write(client, event) {
+  if (client.res.writableLength > MAX_CLIENT_BUFFER_BYTES) {
+    metrics.logStreamDroppedTotal.inc();
+    return;
+  }
+  client.res.write(`id: ${event.id}\ndata: ${event.line}\n\n`);
+}
+
+class LiveTailTransport extends winston.Transport {
+  log(info, callback) {
+    setImmediate(() => this.emit("logged", info));
+    const event = { id: nextId++, level: info.level, type: info.type, service: info.service, line: info[MESSAGE] };
+    backlog.push(event);
+    if (backlog.length > BACKLOG_SIZE) backlog.shift();
+    for (const client of clients) {
+      if (matches(client.filters, event)) write(client, event);
+    }
+    callback();
+  }
+}
+
+logger.add(new LiveTailTransport());
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+// "error,warn" → Set, absent → null (no filter)
+function parseFilters(query) {
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    const values = [].concat(query[field] || []).flatMap((v) => String(v).split(",")).map((v) => v.trim()).filter(Boolean);
+    filters[field] = values.length ? new Set(values) : null;
+  }
+  return filters;
+}
+
+function detach(client) {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+  metrics.logStreamClients.set(clients.size);
+}
+
+/**
+ * GET /api/logs/stream?level=error,warn&type=http-request&service=…&backlog=50
+ * One SSE `data:` event per log line (the JSON as written to stdout).
+ * Reconnecting EventSource clients send Last-Event-ID and receive whatever
+ * they missed that is still in the backlog.
+ */
+router.get("/", (req, res) => {
+  const filters = parseFilters(req.query);
+  const lastEventId = parseInt(req.get("last-event-id"), 10);
+  const requested = parseInt(req.query.backlog, 10);
+  const backlogCount = Number.isNaN(requested) ? DEFAULT_BACKLOG : Math.min(Math.max(requested, 0), BACKLOG_SIZE);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop nginx (the frontend proxy) from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const client = { res, filters };
+  const replay = Number.isInteger(lastEventId)
+    ? backlog.filter((event) => event.id > lastEventId)
+    : backlog.slice(backlog.length - backlogCount);
+  for (const event of replay) {
+    if (matches(filters, event)) write(client, event);
+  }
+
+  clients.add(client);
+  metrics.logStreamClients.set(clients.size);
+  client.heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => detach(client));
+});
+
+// End every open stream (on shutdown); EventSource clients will reconnect elsewhere
+function closeAll() {
+  for (const client of clients) {
+    detach(client);
+    client.res.end();
+  }
+}
+
+module.exports = {
+  router,
+  closeAll,
+};
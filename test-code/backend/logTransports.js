@@ -0,0 +1,294 @@
+"use strict";
+
+const net = require("net");
+const path = require("path");
+const winston = require("winston");
+const metrics = require("./metrics");
+
+/**
+ * Winston transports for shipping logs straight to the collectors this repo
+ * ships configs for, selected with LOG_TRANSPORTS (comma separated):
+ *
+ *   console      JSON to stdout (default; what Docker log scraping reads)
+ *   file         JSON lines to LOG_FILE_PATH, rotated by size
+ *   logstash     newline-delimited JSON over TCP (elk-prod-setup, tcp/json :5000)
+ *   fluentd      forward protocol, JSON mode (efk-prod-setup, :24224)
+ *   fluentd-tcp  newline-delimited JSON over TCP (efk-prod-setup, in_tcp :5170)
+ *   loki         HTTP push API (prod-prometheus-setup, :3100)
+ *
+ * Network transports never block or fail a log call: lines go into a bounded
+ * buffer that is flushed in batches. While a collector is down, sends are
+ * retried with exponential backoff and, once the buffer is full, lines are
+ * dropped according to LOG_DROP_POLICY and counted in
+ * log_transport_dropped_total.
+ *
+ * Errors are reported with console.error — logging them through winston
+ * would feed the failing transport its own failures.
+ */
+
+const MESSAGE = Symbol.for("message");
+
+const BUFFER_SIZE = parseInt(process.env.LOG_BUFFER_SIZE || "10000", 10);
+const BATCH_SIZE = parseInt(process.env.LOG_BATCH_SIZE || "500", 10);
+const FLUSH_INTERVAL_MS = parseInt(process.env.LOG_FLUSH_INTERVAL_MS || "1000", 10);
+const DROP_POLICY = process.env.LOG_DROP_POLICY || "drop-oldest";
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+const CONNECT_TIMEOUT_MS = 5000;
+const DROP_POLICIES = ["drop-oldest", "drop-newest"];
+
+// ─── Buffered base transport ─────────────────────────────────────────────────
+
+/**
+ * Buffers formatted lines and hands batches to send(), which subclasses
+ * implement and which rejects when the batch was not delivered. Failed
+ * batches go back to the front of the buffer.
+ */
+class BufferedTransport extends winston.Transport {
+  constructor(name, options = {}) {
+    super(options);
+    this.name = name;
+    this.bufferSize = options.bufferSize || BUFFER_SIZE;
+    this.batchSize = options.batchSize || BATCH_SIZE;
+    this.dropPolicy = options.dropPolicy || DROP_POLICY;
+    if (!DROP_POLICIES.includes(this.dropPolicy)) {
+      throw new Error(`LOG_DROP_POLICY must be one of ${DROP_POLICIES.join(", ")}`);
+    }
+
+    this.buffer = [];
+    this.flushing = false;
+    this.failures = 0;
+    this.retryAt = 0;
+    this.timer = setInterval(() => this.flush(), options.flushIntervalMs || FLUSH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit("logged", info));
+    const timestamp = Date.parse(info.timestamp);
+    this.enqueue([{ time: Number.isNaN(timestamp) ? Date.now() : timestamp, level: info.level, line: info[MESSAGE] }]);
+    if (this.buffer.length >= this.batchSize) this.flush();
+    callback();
+  }
+
+  // Add entries, dropping per policy when the buffer is full.
+  enqueue(entries, { front = false } = {}) {
+    if (front) this.buffer.unshift(...entries);
+    else this.buffer.push(...entries);
+
+    const overflow = this.buffer.length - this.bufferSize;
+    if (overflow > 0) {
+      // Retried batches are older than anything queued after them, so a
+      // requeue under drop-newest still discards from the back.
+      if (this.dropPolicy === "drop-oldest") this.buffer.splice(0, overflow);
+      else this.buffer.splice(this.bufferSize, overflow);
+      metrics.logTransportDroppedTotal.inc({ transport: this.name }, overflow);
+    }
+    metrics.logTransportBuffered.set({ transport: this.name }, this.buffer.length);
+  }
+
+  async flush() {
+    if (this.flushing || !this.buffer.length || Date.now() < this.retryAt) return;
+    this.flushing = true;
+    const batch = this.buffer.splice(0, this.batchSize);
+
+    try {
+      await this.send(batch);
+      metrics.logTransportSentTotal.inc({ transport: this.name }, batch.length);
+      if (this.failures) console.error(`[${this.name}] log transport recovered after ${this.failures} failed attempt(s)`);
+      this.failures = 0;
+    } catch (err) {
+      this.failures++;
+      const delay = Math.min(BACKOFF_BASE_MS * 2 ** (this.failures - 1), BACKOFF_MAX_MS);
+      this.retryAt = Date.now() + delay;
+      metrics.logTransportErrorsTotal.inc({ transport: this.name });
+      // Report the first failure and then every tenth, not every retry
+      if (this.failures % 10 === 1) {
+        console.error(`[${this.name}] log transport send failed (retrying in ${delay}ms):`, err.message);
+      }
+      this.enqueue(batch, { front: true });
+    } finally {
+      this.flushing = false;
+      metrics.logTransportBuffered.set({ transport: this.name }, this.buffer.length);
+    }
+
+    if (this.buffer.length >= this.batchSize) await this.flush();
+  }
+
+  /**
+   * Send everything buffered, ignoring the backoff, until the buffer is
+   * empty, a send fails or `deadline` (epoch ms) passes. Used on shutdown.
+   */
+  async drain(deadline) {
+    while (this.buffer.length && Date.now() < deadline) {
+      if (this.flushing) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        continue;
+      }
+      const failures = this.failures;
+      this.retryAt = 0;
+      await this.flush();
+      if (this.failures > failures) return;
+    }
+  }
+
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+// ─── TCP (Logstash tcp/json, Fluentd in_tcp, Fluentd forward) ───────────────
+
+/**
+ * Keeps one socket open and writes each batch as a single chunk. The socket
+ * is dropped on any error and reopened by the next flush.
+ */
+class TcpTransport extends BufferedTransport {
+  constructor(name, options) {
+    super(name, options);
+    this.host = options.host;
+    this.port = options.port;
+    this.socket = null;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve(this.socket);
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      socket.setTimeout(CONNECT_TIMEOUT_MS, () => socket.destroy(new Error(`connect to ${this.host}:${this.port} timed out`)));
+      socket.once("error", reject);
+      socket.once("connect", () => {
+        socket.setTimeout(0);
+        socket.setKeepAlive(true);
+        socket.unref();
+        socket.removeListener("error", reject);
+        socket.on("error", () => socket.destroy());
+        socket.on("close", () => {
+          if (this.socket === socket) this.socket = null;
+        });
+        this.socket = socket;
+        resolve(socket);
+      });
+    });
+  }
+
+  // Body of one write for `batch`
+  encode(batch) {
+    return batch.map((entry) => `${entry.line}\n`).join("");
+  }
+
+  async send(batch) {
+    const socket = await this.connect();
+    await new Promise((resolve, reject) => {
+      socket.write(this.encode(batch), (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  close() {
+    super.close();
+    if (this.socket) this.socket.end();
+  }
+}
+
+/**
+ * Fluentd forward protocol in its JSON form, which in_forward accepts
+ * alongside msgpack: one [tag, [[time, record], ...]] array per batch.
+ */
+class FluentForwardTransport extends TcpTransport {
+  constructor(options) {
+    super("fluentd", options);
+    this.tag = JSON.stringify(options.tag);
+  }
+
+  encode(batch) {
+    const entries = batch.map((entry) => `[${Math.floor(entry.time / 1000)},${entry.line}]`);
+    return `[${this.tag},[${entries.join(",")}]]`;
+  }
+}
+
+// ─── Loki push API ───────────────────────────────────────────────────────────
+
+/**
+ * One stream per level with a fixed, low-cardinality label set; everything
+ * else stays in the JSON line for LogQL's `| json`.
+ */
+class LokiTransport extends BufferedTransport {
+  constructor(options) {
+    super("loki", options);
+    this.url = `${options.url.replace(/\/$/, "")}/loki/api/v1/push`;
+    this.labels = options.labels;
+  }
+
+  async send(batch) {
+    const streams = new Map();
+    for (const entry of batch) {
+      if (!streams.has(entry.level)) streams.set(entry.level, []);
+      streams.get(entry.level).push([`${entry.time}000000`, entry.line]);
+    }
+    const body = {
+      streams: [...streams].map(([level, values]) => ({ stream: { ...this.labels, level }, values })),
+    };
+
+    const res = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(CONNECT_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`Loki responded ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  }
+}
+
+// ─── Factory ─────────────────────────────────────────────────────────────────
+const TRANSPORTS = {
+  console: () => new winston.transports.Console(),
+  file: () =>
+    new winston.transports.File({
+      filename: process.env.LOG_FILE_PATH || path.join(__dirname, "logs", "app.log"),
+      maxsize: parseInt(process.env.LOG_FILE_MAX_SIZE_MB || "10", 10) * 1024 * 1024,
+      maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES || "5", 10),
+      tailable: true,
+    }),
+  logstash: () =>
+    new TcpTransport("logstash", {
+      host: process.env.LOGSTASH_HOST || "logstash",
+      port: parseInt(process.env.LOGSTASH_PORT || "5000", 10),
+    }),
+  fluentd: () =>
+    new FluentForwardTransport({
+      host: process.env.FLUENTD_HOST || "fluentd",
+      port: parseInt(process.env.FLUENTD_PORT || "24224", 10),
+      tag: process.env.FLUENTD_TAG || "test-backend",
+    }),
+  "fluentd-tcp": () =>
+    new TcpTransport("fluentd-tcp", {
+      host: process.env.FLUENTD_HOST || "fluentd",
+      port: parseInt(process.env.FLUENTD_TCP_PORT || "5170", 10),
+    }),
+  loki: () =>
+    new LokiTransport({
+      url: process.env.LOKI_URL || "http://loki:3100",
+      labels: { app: "test-backend", service: "mern-backend" },
+    }),
+};
+
+/**
+ * Build the transports named in `spec` (LOG_TRANSPORTS by default).
+ * Unknown names throw so a typo does not silently disable shipping.
+ */
+function createTransports(spec = process.env.LOG_TRANSPORTS || "console") {
+  const names = [...new Set(spec.split(",").map((name) => name.trim()).filter(Boolean))];
+  const unknown = names.filter((name) => !TRANSPORTS[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown LOG_TRANSPORTS entr${unknown.length > 1 ? "ies" : "y"} ${unknown.join(", ")}; expected ${Object.keys(TRANSPORTS).join(", ")}`);
+  }
+  return names.map((name) => TRANSPORTS[name]());
+}
+
+module.exports = {
+  BufferedTransport,
+  TcpTransport,
+  FluentForwardTransport,
+  LokiTransport,
+  createTransports,
+};
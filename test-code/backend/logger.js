@@ -1,13 +1,45 @@
 const winston = require("winston");
+const { clock } = require("./random");
+const tracing = require("./tracing");
+const requestContext = require("./requestContext");
+const { createTransports } = require("./logTransports");
+const { redactionFormat } = require("./redaction");
+
+// Correlate every log line with the span active when it was written
+const traceContext = winston.format((info) => {
+  const span = tracing.currentSpan();
+  if (span) {
+    info.trace_id = span.traceId;
+    info.span_id = span.spanId;
+  }
+  return info;
+});
+
+// Tag log lines written while handling a request with that request.
+// Fields passed explicitly to the log call win.
+const requestFields = winston.format((info) => {
+  const fields = requestContext.currentFields();
+  if (fields) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && info[key] === undefined) info[key] = value;
+    }
+  }
+  return info;
+});
 
 const logger = winston.createLogger({
   level: "debug",
   format: winston.format.combine(
-    winston.format.timestamp(),
+    winston.format.timestamp({ format: clock.iso }),
+    traceContext(),
+    requestFields(),
+    // After the context formats so the fields they add are redacted too
+    redactionFormat(),
     winston.format.json()
   ),
   defaultMeta: { service: "mern-backend" },
-  transports: [new winston.transports.Console()],
+  // LOG_TRANSPORTS=console,file,logstash,fluentd,fluentd-tcp,loki — see logTransports.js
+  transports: createTransports(),
 });
 
 module.exports = logger;
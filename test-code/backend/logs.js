@@ -0,0 +1,375 @@
+"use strict";
+
+const express = require("express");
+const mongoose = require("mongoose");
+const logger = require("./logger");
+const { LogEntry, LOG_LEVELS, MAX_MESSAGE_LENGTH, MAX_SOURCE_LENGTH, MAX_META_BYTES } = require("./models");
+const { redact } = require("./redaction");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const GROUP_BY_FIELDS = ["level", "source"];
+const ENTRY_FIELDS = ["level", "message", "source", "meta", "timestamp"];
+const MAX_BULK_ITEMS = parseInt(process.env.LOG_BULK_MAX_ITEMS || "1000", 10);
+const NDJSON_TYPES = ["application/x-ndjson", "application/ndjson"];
+const RETENTION_DAYS = parseFloat(process.env.LOG_RETENTION_DAYS || "0");
+const TTL_INDEX = "timestamp_ttl";
+
+// Aggregate bucket sizes accepted by /stats, as $dateTrunc unit + binSize
+const INTERVALS = {
+  "1m": { unit: "minute", binSize: 1 },
+  "5m": { unit: "minute", binSize: 5 },
+  "15m": { unit: "minute", binSize: 15 },
+  "1h": { unit: "hour", binSize: 1 },
+  "6h": { unit: "hour", binSize: 6 },
+  "1d": { unit: "day", binSize: 1 },
+};
+
+// ─── Query parsing ───────────────────────────────────────────────────────────
+
+// "a,b" or ?x=a&x=b → ["a", "b"]
+function listParam(value) {
+  if (value === undefined) return [];
+  return [].concat(value).flatMap((v) => String(v).split(",")).map((v) => v.trim()).filter(Boolean);
+}
+
+// ISO-8601 or epoch milliseconds
+function parseTime(value) {
+  if (value === undefined) return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Build the $match filter shared by search and stats from level, source,
+ * from, to and q (full-text on message). Returns { filter, errors }.
+ */
+function parseFilter(query) {
+  const errors = [];
+  const filter = {};
+
+  const levels = listParam(query.level);
+  if (levels.length) filter.level = { $in: levels };
+  const sources = listParam(query.source);
+  if (sources.length) filter.source = { $in: sources };
+
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (from === undefined) errors.push("from must be an ISO-8601 date or epoch milliseconds");
+  if (to === undefined) errors.push("to must be an ISO-8601 date or epoch milliseconds");
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lt = to;
+  }
+
+  if (query.q !== undefined) {
+    if (!String(query.q).trim()) errors.push("q must not be empty");
+    else filter.$text = { $search: String(query.q) };
+  }
+  return { filter, errors };
+}
+
+// ─── Ingest validation ───────────────────────────────────────────────────────
+function validateEntry(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return ["entry must be a JSON object"];
+  const errors = [];
+  for (const key of Object.keys(body)) {
+    if (!ENTRY_FIELDS.includes(key)) errors.push(`unknown field "${key}"`);
+  }
+  if (!LOG_LEVELS.includes(body.level)) {
+    errors.push(`level must be one of ${LOG_LEVELS.join(", ")}`);
+  }
+  if (typeof body.message !== "string" || !body.message.length || body.message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  if (body.source !== undefined && (typeof body.source !== "string" || body.source.length > MAX_SOURCE_LENGTH)) {
+    errors.push(`source must be a string of at most ${MAX_SOURCE_LENGTH} characters`);
+  }
+  if (body.meta !== undefined) {
+    if (!body.meta || typeof body.meta !== "object" || Array.isArray(body.meta)) errors.push("meta must be an object");
+    else if (Buffer.byteLength(JSON.stringify(body.meta)) > MAX_META_BYTES) errors.push(`meta must serialize to at most ${MAX_META_BYTES} bytes`);
+  }
+  if (body.timestamp !== undefined && !parseTime(String(body.timestamp))) {
+    errors.push("timestamp must be an ISO-8601 date or epoch milliseconds");
+  }
+  return errors;
+}
+
+// Validated body → document to insert, redacted like log output
+function toDocument(body) {
+  const doc = redact({ level: body.level, message: body.message, source: body.source, meta: body.meta });
+  if (body.timestamp !== undefined) doc.timestamp = parseTime(String(body.timestamp));
+  return doc;
+}
+
+// Bulk bodies: a JSON array, or NDJSON (one entry per line). Lines that are
+// not valid JSON become per-item errors rather than failing the request.
+function parseBulkBody(req) {
+  if (req.is(NDJSON_TYPES)) {
+    if (typeof req.body !== "string") return { items: [] };
+    return {
+      items: req.body
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => {
+          try {
+            return { entry: JSON.parse(line) };
+          } catch (err) {
+            return { parseError: `invalid JSON: ${err.message}` };
+          }
+        }),
+    };
+  }
+  if (Array.isArray(req.body)) return { items: req.body.map((entry) => ({ entry })) };
+  return { error: `body must be a JSON array or NDJSON (${NDJSON_TYPES.join(", ")})` };
+}
+
+// ─── Cursor ──────────────────────────────────────────────────────────────────
+// Opaque to clients: the sort key of the last entry on the previous page.
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify({ t: entry.timestamp.getTime(), id: String(entry._id) })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) return null;
+    return { timestamp: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// Entries strictly after `cursor` in (timestamp, _id) order
+function afterCursor(cursor, order) {
+  const op = order === "asc" ? "$gt" : "$lt";
+  return {
+    $or: [{ timestamp: { [op]: cursor.timestamp } }, { timestamp: cursor.timestamp, _id: { [op]: cursor.id } }],
+  };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+/**
+ * Search log entries. Query: level, source (comma lists), from, to, q,
+ * order (desc | asc by timestamp), limit, cursor (nextCursor of the
+ * previous page).
+ */
+router.get("/", async (req, res) => {
+  const queryStart = Date.now();
+  const { filter, errors } = parseFilter(req.query);
+  const order = req.query.order || "desc";
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+  if (!["asc", "desc"].includes(order)) errors.push("order must be asc or desc");
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+
+  let cursor = null;
+  if (req.query.cursor !== undefined) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) errors.push("cursor is invalid");
+  }
+  if (errors.length) return res.status(400).json({ error: "Validation failed", details: errors });
+
+  const direction = order === "asc" ? 1 : -1;
+  const query = cursor ? { $and: [filter, afterCursor(cursor, order)] } : filter;
+
+  try {
+    // One extra entry tells us whether another page exists
+    const entries = await LogEntry.find(query)
+      .sort({ timestamp: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+    const hasMore = entries.length > limit;
+    const data = entries.slice(0, limit);
+
+    logger.info("Log entries fetched", {
+      type: "database-query",
+      collection: "logentries",
+      operation: "find",
+      filters: Object.keys(filter),
+      count: data.length,
+      queryDuration: Date.now() - queryStart,
+    });
+    res.json({ data, limit, order, nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null });
+  } catch (err) {
+    logger.error("Failed to fetch logs", { type: "database-query", operation: "find", error: err.message, queryDuration: Date.now() - queryStart });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Counts per level (or source) per time bucket, for the same filters as
+ * search. Query: groupBy (level | source), interval (1m … 1d).
+ */
+router.get("/stats", async (req, res) => {
+  const queryStart = Date.now();
+  const { filter, errors } = parseFilter(req.query);
+  const groupBy = req.query.groupBy || "level";
+  const interval = req.query.interval || "1h";
+  if (!GROUP_BY_FIELDS.includes(groupBy)) errors.push(`groupBy must be one of ${GROUP_BY_FIELDS.join(", ")}`);
+  if (!INTERVALS[interval]) errors.push(`interval must be one of ${Object.keys(INTERVALS).join(", ")}`);
+  if (errors.length) return res.status(400).json({ error: "Validation failed", details: errors });
+
+  try {
+    const rows = await LogEntry.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: {
+            bucket: { $dateTrunc: { date: "$timestamp", ...INTERVALS[interval] } },
+            key: { $ifNull: [`$${groupBy}`, "unknown"] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { "_id.bucket": 1 } },
+    ]);
+
+    const buckets = new Map();
+    const totals = {};
+    for (const { _id, count } of rows) {
+      const time = _id.bucket.toISOString();
+      if (!buckets.has(time)) buckets.set(time, { time, total: 0, counts: {} });
+      const bucket = buckets.get(time);
+      bucket.counts[_id.key] = count;
+      bucket.total += count;
+      totals[_id.key] = (totals[_id.key] || 0) + count;
+    }
+
+    logger.info("Log stats computed", {
+      type: "database-query",
+      collection: "logentries",
+      operation: "aggregate",
+      groupBy,
+      interval,
+      buckets: buckets.size,
+      queryDuration: Date.now() - queryStart,
+    });
+    res.json({ groupBy, interval, totals, buckets: [...buckets.values()] });
+  } catch (err) {
+    logger.error("Failed to compute log stats", { type: "database-query", operation: "aggregate", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  const queryStart = Date.now();
+  const errors = validateEntry(req.body);
+  if (errors.length) {
+    logger.warn("Log entry rejected", { type: "database-query", event: "log_entry_rejected", errors });
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    const entry = await LogEntry.create(toDocument(req.body));
+    logger.info("Log entry created", {
+      type: "database-query",
+      collection: "logentries",
+      operation: "insert",
+      entryLevel: entry.level,
+      queryDuration: Date.now() - queryStart,
+    });
+    res.status(201).json(entry);
+  } catch (err) {
+    logger.error("Failed to create log entry", { type: "database-query", operation: "insert", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Bulk ingest. Valid entries are inserted even when others are rejected;
+ * the response lists every rejected item by its position in the request.
+ * 201 when everything was stored, 207 when only some was, 400 when nothing.
+ */
+router.post("/bulk", express.text({ type: NDJSON_TYPES, limit: "5mb" }), async (req, res) => {
+  const queryStart = Date.now();
+  const { items, error } = parseBulkBody(req);
+  if (error) return res.status(400).json({ error: "Validation failed", details: [error] });
+  if (!items.length) return res.status(400).json({ error: "Validation failed", details: ["no entries in body"] });
+  if (items.length > MAX_BULK_ITEMS) {
+    return res.status(413).json({ error: "Too many entries", details: [`at most ${MAX_BULK_ITEMS} entries per request`] });
+  }
+
+  const rejected = [];
+  const valid = [];
+  items.forEach((item, index) => {
+    const errors = item.parseError ? [item.parseError] : validateEntry(item.entry);
+    if (errors.length) rejected.push({ index, errors });
+    else valid.push({ index, doc: toDocument(item.entry) });
+  });
+
+  let inserted = 0;
+  if (valid.length) {
+    try {
+      await LogEntry.insertMany(valid.map((v) => v.doc), { ordered: false });
+      inserted = valid.length;
+    } catch (err) {
+      if (!err.writeErrors) {
+        logger.error("Bulk log ingest failed", { type: "database-query", operation: "insertMany", error: err.message });
+        return res.status(500).json({ error: "Internal server error" });
+      }
+      // Write error indexes refer to the array passed to insertMany
+      for (const writeError of err.writeErrors) {
+        const reason = (writeError.err && writeError.err.errmsg) || writeError.errmsg || "write failed";
+        rejected.push({ index: valid[writeError.index].index, errors: [reason] });
+      }
+      inserted = valid.length - err.writeErrors.length;
+    }
+  }
+  rejected.sort((a, b) => a.index - b.index);
+
+  const status = !inserted ? 400 : rejected.length ? 207 : 201;
+  logger[rejected.length ? "warn" : "info"]("Bulk log ingest completed", {
+    type: "database-query",
+    collection: "logentries",
+    operation: "insertMany",
+    received: items.length,
+    inserted,
+    rejected: rejected.length,
+    queryDuration: Date.now() - queryStart,
+  });
+  res.status(status).json({ received: items.length, inserted, rejected: rejected.length, errors: rejected });
+});
+
+// ─── Retention ───────────────────────────────────────────────────────────────
+
+/**
+ * Make the TTL index on timestamp match LOG_RETENTION_DAYS: create it,
+ * change its expiry in place (collMod), or drop it when retention is 0
+ * (keep forever). Entries are expired by MongoDB's TTL monitor, which runs
+ * about once a minute. Safe to call on every (re)connect.
+ */
+async function applyLogRetention() {
+  const collection = LogEntry.collection;
+  const seconds = Math.round(RETENTION_DAYS * 86400);
+  const indexes = await collection.indexes().catch((err) => {
+    if (err.codeName === "NamespaceNotFound") return [];
+    throw err;
+  });
+  const existing = indexes.find((index) => index.name === TTL_INDEX);
+
+  if (!seconds) {
+    if (existing) await collection.dropIndex(TTL_INDEX);
+  } else if (!existing) {
+    await collection.createIndex({ timestamp: 1 }, { name: TTL_INDEX, expireAfterSeconds: seconds });
+  } else if (existing.expireAfterSeconds !== seconds) {
+    await LogEntry.db.db.command({ collMod: collection.collectionName, index: { name: TTL_INDEX, expireAfterSeconds: seconds } });
+  }
+
+  logger.info("Log retention applied", {
+    type: "database",
+    event: "log_retention",
+    collection: collection.collectionName,
+    retentionDays: RETENTION_DAYS || null,
+    expireAfterSeconds: seconds || null,
+  });
+}
+
+module.exports = {
+  router,
+  applyLogRetention,
+};
@@ -15,8 +15,13 @@ const httpRequestDurationMs = new client.Histogram({
   help: "Duration of HTTP requests in milliseconds",
   labelNames: ["method", "route", "status_code"],
   buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000],
-  registers: [register],
+  // Observed with a trace_id exemplar; call as observe({ labels, value, exemplarLabels })
+  enableExemplars: true,
+  // prom-client refuses exemplar metrics in a Prometheus-format registry at
+  // construction time, but renders them fine (without exemplars) once added.
+  registers: [],
 });
+register.registerMetric(httpRequestDurationMs);
 
 const httpRequestsTotal = new client.Counter({
   name: "http_requests_total",
@@ -31,6 +36,12 @@ const httpRequestsInFlight = new client.Gauge({
   registers: [register],
 });
 
+const httpRouteLabelOverflowTotal = new client.Counter({
+  name: "http_route_label_overflow_total",
+  help: "Total number of HTTP requests recorded with route=\"overflow\" because the route label limit was reached",
+  registers: [register],
+});
+
 // ─── Database Metrics ─────────────────────────────────────────────────────────
 const dbOperationDurationMs = new client.Histogram({
   name: "db_operation_duration_ms",
@@ -53,6 +64,12 @@ const dbConnectionPoolActive = new client.Gauge({
   registers: [register],
 });
 
+const dbConnectionPoolSize = new client.Gauge({
+  name: "db_connection_pool_size",
+  help: "Open MongoDB connection pool connections (active + idle)",
+  registers: [register],
+});
+
 // ─── Business Metrics ─────────────────────────────────────────────────────────
 const ordersCreatedTotal = new client.Counter({
   name: "orders_created_total",
@@ -68,9 +85,76 @@ const paymentsTotal = new client.Counter({
   registers: [register],
 });
 
+// Amounts are converted to USD with the rate table in business.js; the
+// currency label is the order's original currency.
 const revenueTotal = new client.Counter({
   name: "revenue_total_usd",
-  help: "Total revenue processed in USD (approximate)",
+  help: "Revenue from completed payments in USD, by original currency",
+  labelNames: ["currency"],
+  registers: [register],
+});
+
+const refundsTotal = new client.Counter({
+  name: "refunds_total_usd",
+  help: "Refunded payments in USD, by original currency",
+  labelNames: ["currency"],
+  registers: [register],
+});
+
+const orderValueUsd = new client.Histogram({
+  name: "order_value_usd",
+  help: "Value of created orders in USD",
+  labelNames: ["currency"],
+  buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000],
+  registers: [register],
+});
+
+const orderItems = new client.Histogram({
+  name: "order_items",
+  help: "Number of items per created order",
+  buckets: [1, 2, 3, 5, 10, 20, 50, 100, 500],
+  registers: [register],
+});
+
+const paymentProcessingDurationMs = new client.Histogram({
+  name: "payment_processing_duration_ms",
+  help: "Payment gateway processing time in milliseconds, as reported with the status change",
+  labelNames: ["gateway", "status"],
+  buckets: [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 300000],
+  registers: [register],
+});
+
+const ordersPending = new client.Gauge({
+  name: "orders_pending",
+  help: "Orders waiting for payment, from the Order collection",
+  labelNames: ["currency"],
+  registers: [register],
+});
+
+const ordersPendingValueUsd = new client.Gauge({
+  name: "orders_pending_value_usd",
+  help: "Value of orders waiting for payment in USD, from the Order collection",
+  labelNames: ["currency"],
+  registers: [register],
+});
+
+const paymentConversionRatio = new client.Gauge({
+  name: "payment_conversion_ratio",
+  help: "Share of payment attempts that completed over the ratio window, per gateway",
+  labelNames: ["gateway"],
+  registers: [register],
+});
+
+const paymentFailureRatio = new client.Gauge({
+  name: "payment_failure_ratio",
+  help: "Share of payment attempts that failed over the ratio window, per gateway",
+  labelNames: ["gateway"],
+  registers: [register],
+});
+
+const currencyRateUsd = new client.Gauge({
+  name: "currency_rate_usd",
+  help: "USD value of one unit of the currency, as used for revenue metrics",
   labelNames: ["currency"],
   registers: [register],
 });
@@ -98,58 +182,280 @@ const rateLimitHitsTotal = new client.Counter({
 });
 
 // ─── Worker / Queue Metrics ───────────────────────────────────────────────────
+// status: success, retry (failed, will run again) or failed (dead-lettered)
 const jobsCompletedTotal = new client.Counter({
   name: "jobs_completed_total",
-  help: "Total number of background jobs completed",
+  help: "Total number of background job attempts by outcome",
   labelNames: ["job_type", "queue", "status"],
   registers: [register],
 });
 
+const jobDurationMs = new client.Histogram({
+  name: "job_duration_ms",
+  help: "Duration of background job attempts in milliseconds",
+  labelNames: ["job_type", "queue", "status"],
+  buckets: [10, 50, 100, 500, 1000, 5000, 10000, 30000, 60000, 120000],
+  registers: [register],
+});
+
 const queueDepth = new client.Gauge({
   name: "queue_depth",
-  help: "Current depth of a job queue",
+  help: "Jobs waiting in a queue, including ones waiting for a retry",
+  labelNames: ["queue"],
+  registers: [register],
+});
+
+const jobsRunning = new client.Gauge({
+  name: "jobs_running",
+  help: "Jobs currently executing in this process",
+  labelNames: ["queue"],
+  registers: [register],
+});
+
+const jobsDeadLetter = new client.Gauge({
+  name: "jobs_dead_letter",
+  help: "Jobs that exhausted their attempts and wait for a manual retry",
   labelNames: ["queue"],
   registers: [register],
 });
 
-// ─── Pushgateway ──────────────────────────────────────────────────────────────
-const PUSHGATEWAY_URL = process.env.PUSHGATEWAY_URL || "http://pushgateway:9091";
-const gateway = new client.Pushgateway(PUSHGATEWAY_URL, [], register);
+// ─── Generator Metrics ────────────────────────────────────────────────────────
+const generatorState = new client.Gauge({
+  name: "generator_state",
+  help: "Log generator state (1 for the current state, 0 otherwise)",
+  labelNames: ["state", "profile"],
+  registers: [register],
+});
+
+const generatorRateMultiplier = new client.Gauge({
+  name: "generator_rate_multiplier",
+  help: "Multiplier applied to every generator schedule rate",
+  registers: [register],
+});
+
+const generatorScheduleRate = new client.Gauge({
+  name: "generator_schedule_rate_per_second",
+  help: "Current effective event rate of a rate-based generator schedule",
+  labelNames: ["profile", "schedule", "type"],
+  registers: [register],
+});
+
+const generatorEventsTotal = new client.Counter({
+  name: "generator_events_total",
+  help: "Total number of synthetic events emitted by the log generator",
+  labelNames: ["profile", "schedule"],
+  registers: [register],
+});
+
+// ─── Incident Simulation Metrics ──────────────────────────────────────────────
+const incidentActive = new client.Gauge({
+  name: "incident_active",
+  help: "1 while a simulated incident is in the given phase",
+  labelNames: ["incident", "phase"],
+  registers: [register],
+});
+
+const incidentFaultsTotal = new client.Counter({
+  name: "incident_faults_injected_total",
+  help: "Total number of faults a simulated incident injected into real requests",
+  labelNames: ["incident", "phase", "fault"],
+  registers: [register],
+});
+
+const simulatedFaultsTotal = new client.Counter({
+  name: "simulated_faults_total",
+  help: "Total number of faults injected through /api/simulate",
+  labelNames: ["fault"],
+  registers: [register],
+});
+
+const simulatedLeakBytes = new client.Gauge({
+  name: "simulated_memory_leak_bytes",
+  help: "Heap currently retained on purpose by /api/simulate/memory-leak",
+  registers: [register],
+});
+
+// ─── Health Metrics ───────────────────────────────────────────────────────────
+const healthCheckStatus = new client.Gauge({
+  name: "health_check_status",
+  help: "Health check result (1 for the current status, 0 otherwise)",
+  labelNames: ["check", "status"],
+  registers: [register],
+});
+
+// ─── Chaos Metrics ────────────────────────────────────────────────────────────
+const chaosRuleActive = new client.Gauge({
+  name: "chaos_rule_active",
+  help: "Firing probability of a configured chaos rule (0 while disabled)",
+  labelNames: ["rule", "methods", "path", "action"],
+  registers: [register],
+});
+
+const chaosFaultsTotal = new client.Counter({
+  name: "chaos_faults_injected_total",
+  help: "Total number of faults chaos rules injected into real requests",
+  labelNames: ["rule", "fault"],
+  registers: [register],
+});
+
+// ─── Tracing Metrics ──────────────────────────────────────────────────────────
+const tracingSpansTotal = new client.Counter({
+  name: "tracing_spans_total",
+  help: "Total number of finished spans by export outcome",
+  labelNames: ["outcome"],
+  registers: [register],
+});
+
+// ─── Log Pipeline Metrics ─────────────────────────────────────────────────────
+const logRedactionsTotal = new client.Counter({
+  name: "log_redactions_total",
+  help: "Total number of values redacted from logs and stored log entries",
+  labelNames: ["rule"],
+  registers: [register],
+});
+
+const logTransportSentTotal = new client.Counter({
+  name: "log_transport_sent_total",
+  help: "Total number of log lines delivered by a network log transport",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
+const logTransportDroppedTotal = new client.Counter({
+  name: "log_transport_dropped_total",
+  help: "Total number of log lines dropped because a transport buffer was full",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
+const logTransportErrorsTotal = new client.Counter({
+  name: "log_transport_errors_total",
+  help: "Total number of failed log transport sends (each is retried with backoff)",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
+const logTransportBuffered = new client.Gauge({
+  name: "log_transport_buffered",
+  help: "Log lines waiting in a transport buffer",
+  labelNames: ["transport"],
+  registers: [register],
+});
+
+const logStreamClients = new client.Gauge({
+  name: "log_stream_clients",
+  help: "Clients connected to the live log stream",
+  registers: [register],
+});
+
+const logStreamDroppedTotal = new client.Counter({
+  name: "log_stream_dropped_total",
+  help: "Total number of live-tail events skipped for clients too slow to keep up",
+  registers: [register],
+});
+
+// ─── Pushgateway Metrics ──────────────────────────────────────────────────────
+const pushgatewayAttemptsTotal = new client.Counter({
+  name: "pushgateway_push_attempts_total",
+  help: "Total number of Pushgateway requests, retries included",
+  labelNames: ["operation", "result"],
+  registers: [register],
+});
+
+const pushgatewayFailuresTotal = new client.Counter({
+  name: "pushgateway_push_failures_total",
+  help: "Total number of Pushgateway operations that failed after all retries",
+  labelNames: ["operation"],
+  registers: [register],
+});
+
+const pushgatewayLastSuccess = new client.Gauge({
+  name: "pushgateway_last_success_timestamp_seconds",
+  help: "Unix time of the last successful push to the Pushgateway",
+  registers: [register],
+});
+
+// ─── Alert Metrics ────────────────────────────────────────────────────────────
+const alertsReceivedTotal = new client.Counter({
+  name: "alerts_received_total",
+  help: "Total number of alert notifications received from Alertmanager",
+  labelNames: ["alertname", "severity", "status"],
+  registers: [register],
+});
 
-/**
- * Push metrics to Pushgateway.
- * jobName identifies the metric group in the gateway UI.
- */
-async function pushMetrics(jobName = "test-backend") {
-  try {
-    await gateway.pushAdd({ jobName });
-  } catch (err) {
-    // Non-fatal — Prometheus scrape still works via /metrics even if push fails
-    console.error("[Pushgateway] push failed:", err.message);
-  }
-}
+// ─── OpenMetrics registry ─────────────────────────────────────────────────────
+// Exemplars are only rendered in the OpenMetrics format, which the
+// Pushgateway does not accept, so /metrics serves the same metrics from a
+// second registry when the scraper asks for it.
+const openMetricsRegister = new client.Registry(client.openMetricsContentType);
+openMetricsRegister.setDefaultLabels({ app: "test-backend" });
+for (const metric of register.getMetricsAsArray()) openMetricsRegister.registerMetric(metric);
 
 module.exports = {
   register,
+  openMetricsRegister,
   // HTTP
   httpRequestDurationMs,
   httpRequestsTotal,
   httpRequestsInFlight,
+  httpRouteLabelOverflowTotal,
   // Database
   dbOperationDurationMs,
   dbOperationsTotal,
   dbConnectionPoolActive,
+  dbConnectionPoolSize,
   // Business
   ordersCreatedTotal,
   paymentsTotal,
   revenueTotal,
+  refundsTotal,
+  orderValueUsd,
+  orderItems,
+  paymentProcessingDurationMs,
+  ordersPending,
+  ordersPendingValueUsd,
+  paymentConversionRatio,
+  paymentFailureRatio,
+  currencyRateUsd,
   // Security / Errors
   errorsTotal,
   authFailuresTotal,
   rateLimitHitsTotal,
   // Workers
   jobsCompletedTotal,
+  jobDurationMs,
   queueDepth,
-  // Pushgateway helper
-  pushMetrics,
+  jobsRunning,
+  jobsDeadLetter,
+  // Generator
+  generatorState,
+  generatorRateMultiplier,
+  generatorScheduleRate,
+  generatorEventsTotal,
+  // Incidents / fault injection
+  incidentActive,
+  incidentFaultsTotal,
+  simulatedFaultsTotal,
+  simulatedLeakBytes,
+  // Health
+  healthCheckStatus,
+  // Chaos
+  chaosRuleActive,
+  chaosFaultsTotal,
+  // Tracing
+  tracingSpansTotal,
+  // Log pipeline
+  logRedactionsTotal,
+  logTransportSentTotal,
+  logTransportDroppedTotal,
+  logTransportErrorsTotal,
+  logTransportBuffered,
+  logStreamClients,
+  logStreamDroppedTotal,
+  // Pushgateway
+  pushgatewayAttemptsTotal,
+  pushgatewayFailuresTotal,
+  pushgatewayLastSuccess,
+  // Alerts
+  alertsReceivedTotal,
 };
@@ -0,0 +1,157 @@
+"use strict";
+
+const express = require("express");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+/**
+ * Small in-process time series of headline metrics, so the dashboard can
+ * draw sparklines without Prometheus running. Every SAMPLE_INTERVAL_MS the
+ * registry is read with getMetricsAsJSON() and the difference from the
+ * previous read becomes one sample: request/error rates, latency
+ * percentiles over that interval, and current gauge values.
+ */
+
+const SAMPLE_INTERVAL_MS = parseInt(process.env.METRICS_SUMMARY_INTERVAL_MS || "5000", 10);
+const MAX_SAMPLES = 120;
+const PERCENTILES = [0.5, 0.9, 0.99];
+
+const samples = [];
+let previous = null;
+
+// ─── Reading the registry ────────────────────────────────────────────────────
+function sumValues(metric, predicate = () => true) {
+  if (!metric) return 0;
+  return metric.values.filter((v) => predicate(v.labels)).reduce((sum, v) => sum + v.value, 0);
+}
+
+// Cumulative bucket counts by upper bound, summed over every label set
+function histogramBuckets(metric) {
+  const buckets = new Map();
+  if (!metric) return buckets;
+  for (const v of metric.values) {
+    if (v.metricName !== `${metric.name}_bucket`) continue;
+    const le = v.labels.le === "+Inf" ? Infinity : Number(v.labels.le);
+    buckets.set(le, (buckets.get(le) || 0) + v.value);
+  }
+  return buckets;
+}
+
+async function readTotals() {
+  const byName = new Map((await metrics.register.getMetricsAsJSON()).map((m) => [m.name, m]));
+  const revenue = {};
+  for (const v of (byName.get("revenue_total_usd") || { values: [] }).values) {
+    revenue[v.labels.currency] = (revenue[v.labels.currency] || 0) + v.value;
+  }
+  return {
+    requests: sumValues(byName.get("http_requests_total")),
+    serverErrors: sumValues(byName.get("http_requests_total"), (labels) => Number(labels.status_code) >= 500),
+    appErrors: sumValues(byName.get("errors_total")),
+    latencyBuckets: histogramBuckets(byName.get("http_request_duration_ms")),
+    inFlight: sumValues(byName.get("http_requests_in_flight")),
+    queueDepth: sumValues(byName.get("queue_depth")),
+    revenue,
+  };
+}
+
+// ─── Deltas ──────────────────────────────────────────────────────────────────
+
+// Counter increase, treating a drop (registry reset) as a restart from zero
+function increase(current, before) {
+  return current >= before ? current - before : current;
+}
+
+/**
+ * Percentile from cumulative bucket counts by linear interpolation inside
+ * the bucket, like PromQL's histogram_quantile(). Null when empty.
+ */
+function percentile(buckets, q) {
+  const bounds = [...buckets.keys()].sort((a, b) => a - b);
+  const total = buckets.get(Infinity) || 0;
+  if (!total) return null;
+  const rank = q * total;
+  let lowerBound = 0;
+  let lowerCount = 0;
+  for (const bound of bounds) {
+    const count = buckets.get(bound);
+    if (count >= rank) {
+      // Past the highest finite bucket the best answer is that bound
+      if (bound === Infinity) return lowerBound;
+      return lowerBound + ((bound - lowerBound) * (rank - lowerCount)) / (count - lowerCount || 1);
+    }
+    lowerBound = bound;
+    lowerCount = count;
+  }
+  return lowerBound;
+}
+
+function round(value, decimals = 2) {
+  return value === null ? null : Number(value.toFixed(decimals));
+}
+
+function toSample(current, before, seconds) {
+  const latency = new Map();
+  for (const [le, count] of current.latencyBuckets) latency.set(le, increase(count, before.latencyBuckets.get(le) || 0));
+
+  const revenue = {};
+  for (const [currency, total] of Object.entries(current.revenue)) {
+    revenue[currency] = round(increase(total, before.revenue[currency] || 0));
+  }
+
+  const sample = {
+    time: new Date().toISOString(),
+    requestRate: round(increase(current.requests, before.requests) / seconds),
+    serverErrorRate: round(increase(current.serverErrors, before.serverErrors) / seconds),
+    appErrorRate: round(increase(current.appErrors, before.appErrors) / seconds),
+    inFlight: current.inFlight,
+    queueDepth: current.queueDepth,
+    revenue,
+  };
+  for (const q of PERCENTILES) sample[`p${q * 100}`] = round(percentile(latency, q));
+  return sample;
+}
+
+async function collect() {
+  const current = await readTotals();
+  const now = Date.now();
+  if (previous) {
+    samples.push(toSample(current, previous.totals, (now - previous.at) / 1000));
+    if (samples.length > MAX_SAMPLES) samples.shift();
+  }
+  previous = { at: now, totals: current };
+}
+
+setInterval(
+  () => collect().catch((err) => logger.error("Metrics summary sample failed", { type: "metrics", error: err.message })),
+  SAMPLE_INTERVAL_MS
+).unref();
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+/**
+ * GET /api/metrics/summary — recent samples (oldest first) plus running
+ * totals since the process started.
+ */
+router.get("/summary", async (req, res) => {
+  try {
+    const totals = await readTotals();
+    res.json({
+      intervalSec: SAMPLE_INTERVAL_MS / 1000,
+      samples,
+      totals: {
+        requests: totals.requests,
+        serverErrors: totals.serverErrors,
+        appErrors: totals.appErrors,
+        revenue: totals.revenue,
+      },
+    });
+  } catch (err) {
+    logger.error("Failed to build metrics summary", { type: "metrics", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = {
+  router,
+};
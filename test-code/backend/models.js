@@ -0,0 +1,135 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const { dbMetricsPlugin } = require("./dbInstrumentation");
+
+// Applies to every schema compiled below, so it must run first.
+mongoose.plugin(dbMetricsPlugin);
+
+// ─── LogEntry ────────────────────────────────────────────────────────────────
+// winston's npm levels, which is what every service here logs with
+const LOG_LEVELS = ["error", "warn", "info", "http", "verbose", "debug", "silly"];
+const MAX_MESSAGE_LENGTH = parseInt(process.env.LOG_MAX_MESSAGE_LENGTH || "8192", 10);
+const MAX_SOURCE_LENGTH = 128;
+const MAX_META_BYTES = 16 * 1024;
+
+const logEntrySchema = new mongoose.Schema({
+  level: { type: String, required: true, enum: LOG_LEVELS },
+  message: { type: String, required: true, maxlength: MAX_MESSAGE_LENGTH },
+  source: { type: String, maxlength: MAX_SOURCE_LENGTH },
+  meta: { type: mongoose.Schema.Types.Mixed },
+  timestamp: { type: Date, default: Date.now },
+});
+// Search: newest-first pages (with _id as tie-breaker for the cursor),
+// level/source filters over a time range, and full-text on message.
+logEntrySchema.index({ timestamp: -1, _id: -1 });
+logEntrySchema.index({ level: 1, timestamp: -1 });
+logEntrySchema.index({ source: 1, timestamp: -1 });
+logEntrySchema.index({ message: "text" });
+// Retention (a TTL index on timestamp) is managed at runtime by
+// applyLogRetention() in logs.js, since its expiry comes from config.
+
+const LogEntry = mongoose.model("LogEntry", logEntrySchema);
+
+// ─── Order ───────────────────────────────────────────────────────────────────
+const ORDER_STATUSES = ["pending", "completed", "failed", "refunded", "cancelled"];
+const CURRENCIES = ["USD", "EUR", "GBP"];
+const PAYMENT_METHODS = ["credit_card", "paypal", "stripe", "bank_transfer"];
+const PAYMENT_GATEWAYS = ["stripe", "paypal", "square"];
+
+const Order = mongoose.model(
+  "Order",
+  new mongoose.Schema(
+    {
+      orderId: { type: String, required: true, unique: true },
+      userId: { type: String, required: true, index: true },
+      amount: { type: Number, required: true, min: 0 },
+      currency: { type: String, enum: CURRENCIES, default: "USD" },
+      status: { type: String, enum: ORDER_STATUSES, default: "pending", index: true },
+      items: { type: Number, required: true, min: 1 },
+      paymentMethod: { type: String, enum: PAYMENT_METHODS, default: "credit_card" },
+      gateway: { type: String, enum: PAYMENT_GATEWAYS },
+      failureReason: String,
+    },
+    { timestamps: true }
+  )
+);
+
+// ─── Alert ───────────────────────────────────────────────────────────────────
+// One document per alert occurrence (fingerprint + startsAt), received from
+// Alertmanager's webhook; resolved notifications close it.
+const ALERT_STATUSES = ["firing", "resolved"];
+
+const alertSchema = new mongoose.Schema({
+  fingerprint: { type: String, required: true },
+  alertname: { type: String, required: true },
+  severity: { type: String, default: "none" },
+  status: { type: String, required: true, enum: ALERT_STATUSES },
+  labels: { type: mongoose.Schema.Types.Mixed, default: {} },
+  annotations: { type: mongoose.Schema.Types.Mixed, default: {} },
+  startsAt: { type: Date, required: true },
+  endsAt: Date,
+  generatorURL: String,
+  receiver: String,
+  notifications: { type: Number, default: 0 },
+  firstReceivedAt: { type: Date, default: Date.now },
+  lastReceivedAt: { type: Date, default: Date.now },
+});
+alertSchema.index({ fingerprint: 1, startsAt: 1 }, { unique: true });
+alertSchema.index({ startsAt: -1 });
+alertSchema.index({ status: 1, startsAt: -1 });
+alertSchema.index({ alertname: 1, startsAt: -1 });
+
+const Alert = mongoose.model("Alert", alertSchema);
+
+// ─── Job ─────────────────────────────────────────────────────────────────────
+// Background jobs run by jobQueue.js. A failed attempt goes back to
+// "queued" with a later runAt until maxAttempts, then to "dead".
+const JOB_QUEUES = { high: 3, default: 2, low: 1 };
+const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+const jobSchema = new mongoose.Schema(
+  {
+    jobId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    queue: { type: String, required: true, enum: Object.keys(JOB_QUEUES) },
+    // Numeric queue rank, so claiming can sort high > default > low
+    priority: { type: Number, required: true },
+    status: { type: String, required: true, enum: JOB_STATUSES, default: "queued" },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    result: mongoose.Schema.Types.Mixed,
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, required: true, min: 1 },
+    lastError: String,
+    runAt: { type: Date, default: Date.now },
+    lockedBy: String,
+    lockedUntil: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    duration: Number,
+  },
+  { timestamps: true }
+);
+jobSchema.index({ status: 1, priority: -1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ createdAt: -1 });
+
+const Job = mongoose.model("Job", jobSchema);
+
+module.exports = {
+  LogEntry,
+  LOG_LEVELS,
+  MAX_MESSAGE_LENGTH,
+  MAX_SOURCE_LENGTH,
+  MAX_META_BYTES,
+  Order,
+  ORDER_STATUSES,
+  CURRENCIES,
+  PAYMENT_METHODS,
+  PAYMENT_GATEWAYS,
+  Alert,
+  ALERT_STATUSES,
+  Job,
+  JOB_QUEUES,
+  JOB_STATUSES,
+};
@@ -0,0 +1,268 @@
+"use strict";
+
+const express = require("express");
+const logger = require("./logger");
+const business = require("./business");
+const incidents = require("./incidents");
+const { setUserId } = require("./requestContext");
+const { Order, CURRENCIES, PAYMENT_METHODS, PAYMENT_GATEWAYS } = require("./models");
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_ITEMS = 1000;
+
+// Allowed status changes. Anything not listed here is rejected with 409.
+const STATUS_TRANSITIONS = {
+  pending: ["completed", "failed", "cancelled"],
+  completed: ["refunded"],
+  failed: [],
+  refunded: [],
+  cancelled: [],
+};
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+function validateOrder(body) {
+  const errors = [];
+  if (typeof body.userId !== "string" || !body.userId.trim()) {
+    errors.push("userId is required");
+  }
+  if (typeof body.amount !== "number" || !Number.isFinite(body.amount) || body.amount <= 0) {
+    errors.push("amount must be a positive number");
+  }
+  if (!Number.isInteger(body.items) || body.items < 1 || body.items > MAX_ITEMS) {
+    errors.push(`items must be an integer between 1 and ${MAX_ITEMS}`);
+  }
+  if (body.currency !== undefined && !CURRENCIES.includes(body.currency)) {
+    errors.push(`currency must be one of ${CURRENCIES.join(", ")}`);
+  }
+  if (body.paymentMethod !== undefined && !PAYMENT_METHODS.includes(body.paymentMethod)) {
+    errors.push(`paymentMethod must be one of ${PAYMENT_METHODS.join(", ")}`);
+  }
+  return errors;
+}
+
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function toJSON(order) {
+  const { _id, __v, ...rest } = order.toObject();
+  return rest;
+}
+
+// ─── Status changes ──────────────────────────────────────────────────────────
+
+/**
+ * Move an order to `nextStatus` if the transition table allows it.
+ * The update is conditional on the current status so two concurrent
+ * requests cannot both apply a transition from the same state.
+ * Returns { order } on success or { error, statusCode } on rejection.
+ */
+async function transitionOrder(orderId, nextStatus, extra = {}) {
+  const order = await Order.findOne({ orderId });
+  if (!order) return { statusCode: 404, error: "Order not found" };
+  setUserId(order.userId);
+
+  const allowed = STATUS_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return { statusCode: 409, error: `Cannot change status from ${order.status} to ${nextStatus}` };
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { orderId, status: order.status },
+    { $set: { status: nextStatus, ...extra } },
+    { new: true }
+  );
+  if (!updated) return { statusCode: 409, error: "Order was modified concurrently" };
+
+  return { order: updated, previousStatus: order.status };
+}
+
+function recordPayment(order, previousStatus, processingTimeMs, meta = {}) {
+  const gateway = order.gateway || "stripe";
+  const amountUsd = business.recordPaymentOutcome(order, gateway, processingTimeMs);
+  const logFn = order.status === "failed" ? "error" : order.status === "refunded" ? "warn" : "info";
+
+  logger[logFn]("Payment processed", {
+    type: "business",
+    event: "payment_processed",
+    orderId: order.orderId,
+    userId: order.userId,
+    status: order.status,
+    previousStatus,
+    amount: order.amount,
+    currency: order.currency,
+    amountUsd,
+    gateway,
+    processingTime: processingTimeMs === undefined ? undefined : Math.round(processingTimeMs),
+    failureReason: order.failureReason,
+    ...meta,
+  });
+}
+
+/**
+ * Answer a payment attempt failed by a simulated incident with 502. The
+ * failure is counted and logged like a real one but not stored: the order
+ * stays pending, so the caller can retry once the incident is over.
+ */
+async function rejectPayment(orderId, injected, extra, processingTimeMs, res) {
+  const order = await Order.findOne({ orderId });
+  if (!order) return res.status(404).json({ error: "Order not found" });
+  setUserId(order.userId);
+  if (order.status !== "pending") {
+    return res.status(409).json({ error: `Cannot change status from ${order.status} to completed` });
+  }
+
+  const attempt = { ...order.toObject(), ...extra, status: "failed", failureReason: injected.reason };
+  recordPayment(attempt, order.status, processingTimeMs, { correlationId: injected.correlationId, simulated: true });
+  res.status(502).json({ error: "Payment gateway failure", correlationId: injected.correlationId, order: toJSON(order) });
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.post("/", async (req, res) => {
+  const body = req.body || {};
+  const errors = validateOrder(body);
+  if (errors.length) {
+    logger.warn("Order validation failed", { type: "business", event: "order_rejected", errors });
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+  setUserId(body.userId.trim());
+
+  try {
+    const order = await Order.create({
+      orderId: `ORD-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      userId: body.userId.trim(),
+      amount: parseFloat(body.amount.toFixed(2)),
+      currency: body.currency || "USD",
+      items: body.items,
+      paymentMethod: body.paymentMethod || "credit_card",
+    });
+
+    logger.info("Order created", {
+      type: "business",
+      event: "order_created",
+      orderId: order.orderId,
+      userId: order.userId,
+      amount: order.amount,
+      currency: order.currency,
+      items: order.items,
+      paymentMethod: order.paymentMethod,
+    });
+    business.recordOrderCreated(order);
+
+    res.status(201).json(toJSON(order));
+  } catch (err) {
+    logger.error("Failed to create order", { type: "business", event: "order_create_failed", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/", async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = {};
+  if (req.query.status) filter.status = String(req.query.status);
+  if (req.query.userId) filter.userId = String(req.query.userId);
+
+  try {
+    const [orders, total] = await Promise.all([
+      Order.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Order.countDocuments(filter),
+    ]);
+    res.json({
+      data: orders.map(toJSON),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    logger.error("Failed to list orders", { type: "business", event: "order_list_failed", error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.get("/:orderId", async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    setUserId(order.userId);
+    res.json(toJSON(order));
+  } catch (err) {
+    logger.error("Failed to fetch order", { type: "business", orderId: req.params.orderId, error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.patch("/:orderId/status", async (req, res) => {
+  const { status, gateway, failureReason, processingTimeMs } = req.body || {};
+  if (!Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status) || status === "pending") {
+    return res.status(400).json({ error: "Validation failed", details: ["status must be one of completed, failed, refunded, cancelled"] });
+  }
+  if (gateway !== undefined && !PAYMENT_GATEWAYS.includes(gateway)) {
+    return res.status(400).json({ error: "Validation failed", details: [`gateway must be one of ${PAYMENT_GATEWAYS.join(", ")}`] });
+  }
+  if (processingTimeMs !== undefined && !(typeof processingTimeMs === "number" && Number.isFinite(processingTimeMs) && processingTimeMs >= 0)) {
+    return res.status(400).json({ error: "Validation failed", details: ["processingTimeMs must be a non-negative number"] });
+  }
+
+  // A simulated incident may make the payment gateway fail this attempt.
+  const injected = status === "completed" ? incidents.paymentFailure() : null;
+
+  const extra = {};
+  if (gateway) extra.gateway = gateway;
+  if (status === "failed") extra.failureReason = failureReason || "unknown";
+
+  try {
+    if (injected) return await rejectPayment(req.params.orderId, injected, extra, processingTimeMs, res);
+
+    const result = await transitionOrder(req.params.orderId, status, extra);
+    if (result.error) {
+      logger.warn("Order status change rejected", {
+        type: "business",
+        event: "order_transition_rejected",
+        orderId: req.params.orderId,
+        requestedStatus: status,
+        reason: result.error,
+      });
+      return res.status(result.statusCode).json({ error: result.error });
+    }
+
+    if (status === "cancelled") {
+      logger.info("Order cancelled", { type: "business", event: "order_cancelled", orderId: result.order.orderId, userId: result.order.userId });
+    } else {
+      // Only as reported by the caller's gateway integration
+      recordPayment(result.order, result.previousStatus, processingTimeMs);
+    }
+    res.json(toJSON(result.order));
+  } catch (err) {
+    logger.error("Failed to update order status", { type: "business", orderId: req.params.orderId, error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+router.post("/:orderId/cancel", async (req, res) => {
+  try {
+    const result = await transitionOrder(req.params.orderId, "cancelled");
+    if (result.error) return res.status(result.statusCode).json({ error: result.error });
+
+    logger.info("Order cancelled", {
+      type: "business",
+      event: "order_cancelled",
+      orderId: result.order.orderId,
+      userId: result.order.userId,
+      amount: result.order.amount,
+      currency: result.order.currency,
+    });
+    res.json(toJSON(result.order));
+  } catch (err) {
+    logger.error("Failed to cancel order", { type: "business", orderId: req.params.orderId, error: err.message });
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
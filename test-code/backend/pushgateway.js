@@ -0,0 +1,199 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const client = require("prom-client");
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+/**
+ * Periodic push of the registry to a Prometheus Pushgateway.
+ *
+ * Each replica pushes into its own group, `job` plus the grouping labels
+ * from PUSHGATEWAY_GROUPING (comma-separated): `instance`, `hostname` and
+ * `pod` resolve from the environment, `name=value` is used as is. Failed
+ * pushes are retried with exponential backoff; a push that is still
+ * retrying when the next one is due makes that one skip.
+ *
+ *   PUSHGATEWAY_URL                  http(s)://host:port
+ *   PUSHGATEWAY_JOB                  job name (test-backend)
+ *   PUSHGATEWAY_GROUPING             grouping labels (instance)
+ *   PUSHGATEWAY_MODE                 pushAdd (POST, merge) | push (PUT, replace)
+ *   PUSHGATEWAY_RETRIES              retries after the first attempt (3)
+ *   PUSHGATEWAY_TIMEOUT_MS           per-request timeout (5000)
+ *   PUSHGATEWAY_USERNAME / _PASSWORD basic auth
+ *   PUSHGATEWAY_CA_FILE, _CERT_FILE, _KEY_FILE, _INSECURE_SKIP_VERIFY  TLS
+ */
+
+const PUSHGATEWAY_URL = process.env.PUSHGATEWAY_URL || "http://pushgateway:9091";
+const JOB_NAME = process.env.PUSHGATEWAY_JOB || "test-backend";
+const MODE = process.env.PUSHGATEWAY_MODE || "pushAdd";
+const RETRIES = parseInt(process.env.PUSHGATEWAY_RETRIES || "3", 10);
+const TIMEOUT_MS = parseInt(process.env.PUSHGATEWAY_TIMEOUT_MS || "5000", 10);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+const MODES = ["pushAdd", "push"];
+
+if (!MODES.includes(MODE)) throw new Error(`PUSHGATEWAY_MODE must be one of ${MODES.join(", ")}`);
+
+// ─── Configuration ───────────────────────────────────────────────────────────
+
+const GROUPING_SOURCES = {
+  hostname: () => os.hostname(),
+  instance: () => process.env.PUSHGATEWAY_INSTANCE || os.hostname(),
+  pod: () => process.env.POD_NAME || process.env.HOSTNAME || os.hostname(),
+};
+
+function parseGrouping(spec) {
+  const groupings = {};
+  for (const item of spec.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const eq = item.indexOf("=");
+    if (eq > 0) groupings[item.slice(0, eq).trim()] = item.slice(eq + 1).trim();
+    else if (GROUPING_SOURCES[item]) groupings[item] = GROUPING_SOURCES[item]();
+    else throw new Error(`PUSHGATEWAY_GROUPING: unknown label "${item}" (use ${Object.keys(GROUPING_SOURCES).join(", ")} or name=value)`);
+  }
+  return groupings;
+}
+
+const readFile = (envName) => (process.env[envName] ? fs.readFileSync(process.env[envName]) : undefined);
+
+// Passed through to http(s).request by prom-client
+function requestOptions() {
+  const options = { timeout: TIMEOUT_MS };
+  if (process.env.PUSHGATEWAY_USERNAME) {
+    options.auth = `${process.env.PUSHGATEWAY_USERNAME}:${process.env.PUSHGATEWAY_PASSWORD || ""}`;
+  }
+  if (PUSHGATEWAY_URL.startsWith("https:")) {
+    options.ca = readFile("PUSHGATEWAY_CA_FILE");
+    options.cert = readFile("PUSHGATEWAY_CERT_FILE");
+    options.key = readFile("PUSHGATEWAY_KEY_FILE");
+    options.rejectUnauthorized = process.env.PUSHGATEWAY_INSECURE_SKIP_VERIFY !== "true";
+  }
+  return options;
+}
+
+const groupings = parseGrouping(process.env.PUSHGATEWAY_GROUPING || "instance");
+const gateway = new client.Pushgateway(PUSHGATEWAY_URL, requestOptions(), metrics.register);
+
+// ─── Pushing ─────────────────────────────────────────────────────────────────
+
+// Outcome of the latest pushes, for the health report
+const status = { lastAttemptAt: null, lastSuccessAt: null, lastError: null };
+let pushing = null;
+let timer = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call `send` up to 1 + RETRIES times with exponential backoff. Every
+ * attempt is counted; only the last failure is thrown.
+ */
+async function withRetry(operation, send) {
+  for (let attempt = 1; ; attempt++) {
+    status.lastAttemptAt = Date.now();
+    try {
+      await send();
+      metrics.pushgatewayAttemptsTotal.inc({ operation, result: "success" });
+      return attempt;
+    } catch (err) {
+      metrics.pushgatewayAttemptsTotal.inc({ operation, result: "failure" });
+      status.lastError = err.message;
+      if (attempt > RETRIES) throw err;
+      const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+      logger.warn("Pushgateway request failed, retrying", { type: "pushgateway", event: "retry", operation, attempt, retryInMs: delay, error: err.message });
+      await sleep(delay);
+    }
+  }
+}
+
+async function pushOnce() {
+  const start = Date.now();
+  try {
+    const attempts = await withRetry(MODE, () => gateway[MODE]({ jobName: JOB_NAME, groupings }));
+    // Info for the first push and after failures, debug otherwise
+    const notable = status.lastSuccessAt === null || status.lastError !== null;
+    status.lastSuccessAt = Date.now();
+    status.lastError = null;
+    metrics.pushgatewayLastSuccess.set(status.lastSuccessAt / 1000);
+    logger[notable ? "info" : "debug"]("Metrics pushed to Pushgateway", {
+      type: "pushgateway",
+      event: "pushed",
+      mode: MODE,
+      attempts,
+      duration: Date.now() - start,
+    });
+    return true;
+  } catch (err) {
+    metrics.pushgatewayFailuresTotal.inc({ operation: MODE });
+    // Non-fatal: Prometheus can still scrape /metrics directly
+    logger.error("Pushgateway push failed", {
+      type: "pushgateway",
+      event: "push_failed",
+      url: PUSHGATEWAY_URL,
+      mode: MODE,
+      attempts: RETRIES + 1,
+      duration: Date.now() - start,
+      error: err.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Push the registry now. Resolves to true on success; never rejects. A
+ * push already in progress is awaited instead of starting another.
+ */
+function push() {
+  if (!pushing) pushing = pushOnce().finally(() => (pushing = null));
+  return pushing;
+}
+
+/**
+ * Delete this replica's group from the gateway. Rejects on failure.
+ */
+async function deleteGroup() {
+  try {
+    await withRetry("delete", () => gateway.delete({ jobName: JOB_NAME, groupings }));
+    logger.info("Pushgateway group deleted", { type: "pushgateway", event: "deleted", job: JOB_NAME, groupings });
+  } catch (err) {
+    metrics.pushgatewayFailuresTotal.inc({ operation: "delete" });
+    throw err;
+  }
+}
+
+function start(intervalMs) {
+  stop();
+  timer = setInterval(() => {
+    if (pushing) {
+      logger.warn("Previous Pushgateway push still running, skipping", { type: "pushgateway", event: "push_skipped" });
+      return;
+    }
+    push();
+  }, intervalMs);
+  logger.info("Pushgateway push scheduled", {
+    type: "startup",
+    event: "pushgateway_init",
+    url: PUSHGATEWAY_URL,
+    job: JOB_NAME,
+    groupings,
+    mode: MODE,
+    intervalMs,
+  });
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function getStatus() {
+  return { ...status };
+}
+
+module.exports = {
+  start,
+  stop,
+  push,
+  deleteGroup,
+  getStatus,
+};
@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * Seedable randomness and an injectable clock for the generator and the
+ * simulation routes.
+ *
+ * Without a seed everything falls through to Math.random() and Date.now().
+ * With a seed (RANDOM_SEED or setSeed()) each named stream gets its own
+ * PRNG derived from seed + name, so traffic on one stream (e.g. HTTP
+ * requests hitting /api/simulate) never shifts the values drawn by another
+ * (the generator). The clock becomes virtual: it starts at a fixed epoch
+ * and only moves when advance() is called — the generator advances it one
+ * tick at a time — so timestamps are reproducible too.
+ */
+
+const DEFAULT_EPOCH = Date.parse("2024-01-01T00:00:00.000Z");
+
+let seed = process.env.RANDOM_SEED || null;
+let epoch = process.env.RANDOM_EPOCH ? Date.parse(process.env.RANDOM_EPOCH) : DEFAULT_EPOCH;
+let virtualElapsed = 0;
+
+// ─── PRNG ────────────────────────────────────────────────────────────────────
+
+// xmur3 string hash → 32-bit seed
+function hashSeed(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+// mulberry32: small, fast, good enough for synthetic data
+function mulberry32(a) {
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Streams ─────────────────────────────────────────────────────────────────
+const streams = new Map();
+const states = [];
+
+function seedStream(state) {
+  state.next = seed === null ? Math.random : mulberry32(hashSeed(`${seed}:${state.name}`));
+}
+
+/**
+ * Named random stream with helpers. The returned object is stable across
+ * setSeed() calls, so modules can grab it once at load time.
+ */
+function stream(name) {
+  if (streams.has(name)) return streams.get(name);
+  const state = { name, next: Math.random };
+  seedStream(state);
+  states.push(state);
+
+  const rng = {
+    random: () => state.next(),
+    // Integer in [min, max], both inclusive
+    int: (min, max) => min + Math.floor(state.next() * (max - min + 1)),
+    pick: (values) => values[Math.floor(state.next() * values.length)],
+    // Base-36 id of `length` characters
+    id: (length = 6) => {
+      let id = "";
+      while (id.length < length) id += state.next().toString(36).slice(2);
+      return id.slice(0, length);
+    },
+  };
+  streams.set(name, rng);
+  return rng;
+}
+
+/**
+ * Switch every stream to `newSeed` (null restores Math.random / Date.now)
+ * and rewind the virtual clock to the epoch.
+ */
+function setSeed(newSeed, options = {}) {
+  seed = newSeed === null || newSeed === undefined || newSeed === "" ? null : String(newSeed);
+  if (options.epoch !== undefined) epoch = Date.parse(options.epoch);
+  virtualElapsed = 0;
+  for (const state of states) seedStream(state);
+}
+
+function getSeed() {
+  return seed;
+}
+
+function isSeeded() {
+  return seed !== null;
+}
+
+// ─── Clock ───────────────────────────────────────────────────────────────────
+const clock = {
+  now: () => (seed === null ? Date.now() : epoch + virtualElapsed),
+  advance: (ms) => {
+    if (seed !== null) virtualElapsed += ms;
+  },
+  iso: () => new Date(clock.now()).toISOString(),
+  // Virtual time since the seed was set, or real process uptime unseeded
+  elapsedMs: () => (seed === null ? process.uptime() * 1000 : virtualElapsed),
+};
+
+module.exports = {
+  stream,
+  setSeed,
+  getSeed,
+  isSeeded,
+  clock,
+};
@@ -0,0 +1,197 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const yaml = require("js-yaml");
+const winston = require("winston");
+const metrics = require("./metrics");
+
+/**
+ * Redaction of personal and secret data before anything leaves the process.
+ * Used as a winston format (so console, file and every shipped transport
+ * see the same redacted line) and directly on documents stored in MongoDB.
+ *
+ * Rules, applied to every field at any depth:
+ *   denyFields   value replaced with "[REDACTED]"
+ *   hashFields   value replaced with a salted SHA-256 prefix, so the same
+ *                user still correlates across lines without being named
+ *   ipFields     IPs truncated (/24 for IPv4, /48 for IPv6) or hashed; only
+ *                these fields, so URLs and versions in messages stay intact
+ *   patterns     regexes applied to every other string, message included
+ *
+ * Field names match case-insensitively. Defaults below can be overridden
+ * key by key from a JSON or YAML file named by LOG_REDACTION_CONFIG;
+ * LOG_REDACTION=off disables redaction entirely.
+ */
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+const DEFAULT_RULES = {
+  denyFields: [
+    "password",
+    "passwd",
+    "secret",
+    "token",
+    "accessToken",
+    "refreshToken",
+    "apiKey",
+    "authorization",
+    "cookie",
+    "sessionId",
+    "cardNumber",
+    "cvv",
+    "ssn",
+  ],
+  hashFields: ["userId", "user", "attemptedUser", "targetUser", "email"],
+  ipFields: ["ip", "clientIp", "sourceIp", "remoteAddr"],
+  // truncate | hash | keep
+  ipMode: "truncate",
+  // Bookkeeping fields that are never touched
+  skipFields: ["level", "timestamp", "service", "type", "event", "reqId", "trace_id", "span_id", "orderId", "transactionId", "jobId"],
+  patterns: [
+    { name: "email", regex: "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}", replacement: "[EMAIL]" },
+    { name: "jwt", regex: "\\beyJ[\\w-]+\\.[\\w-]+\\.[\\w-]+", replacement: "[TOKEN]" },
+    { name: "bearer", regex: "\\bBearer\\s+[\\w\\-.~+/]+=*", flags: "gi", replacement: "Bearer [TOKEN]" },
+    { name: "api_key", regex: "\\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{8,}", replacement: "[TOKEN]" },
+    // Card-shaped numbers only (16 digits, optionally in groups of 4, or Amex's
+    // 15), not digit runs inside IDs such as ORD-<epoch ms>-xxxx, and only
+    // when they pass the Luhn check
+    {
+      name: "card",
+      regex: "(?<![\\w-])(?:\\d{4}([ -]?)\\d{4}\\1\\d{4}\\1\\d{4}|\\d{4}([ -]?)\\d{6}\\2\\d{5})(?![\\w-])",
+      replacement: "[CARD]",
+      luhn: true,
+    },
+  ],
+};
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+function loadOverrides(file) {
+  if (!file) return {};
+  const raw = fs.readFileSync(file, "utf8");
+  return /\.ya?ml$/i.test(file) ? yaml.load(raw) || {} : JSON.parse(raw);
+}
+
+function lowerSet(names) {
+  return new Set(names.map((name) => name.toLowerCase()));
+}
+
+function compileRules(rules) {
+  return {
+    deny: lowerSet(rules.denyFields),
+    hash: lowerSet(rules.hashFields),
+    ip: lowerSet(rules.ipFields),
+    skip: lowerSet(rules.skipFields),
+    ipMode: rules.ipMode,
+    patterns: rules.patterns.map((p) => ({ ...p, regex: new RegExp(p.regex, p.flags || "g") })),
+  };
+}
+
+const ENABLED = process.env.LOG_REDACTION !== "off";
+const SALT = process.env.LOG_REDACTION_SALT || "test-backend";
+const rules = compileRules({ ...DEFAULT_RULES, ...loadOverrides(process.env.LOG_REDACTION_CONFIG) });
+
+// ─── Transforms ──────────────────────────────────────────────────────────────
+function hashValue(value) {
+  return `h_${crypto.createHash("sha256").update(`${SALT}:${value}`).digest("hex").slice(0, 16)}`;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function truncateIp(ip) {
+  const v4 = /^(.*?)(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}$/.exec(ip);
+  if (v4) return `${v4[1]}${v4[2]}.0`;
+  if (ip.includes(":")) return `${ip.split(":").slice(0, 3).join(":")}::`;
+  return ip;
+}
+
+function redactIp(value, counts) {
+  if (rules.ipMode === "keep") return value;
+  count(counts, "ip");
+  return rules.ipMode === "hash" ? hashValue(value) : truncateIp(value);
+}
+
+function count(counts, rule) {
+  counts[rule] = (counts[rule] || 0) + 1;
+}
+
+function redactString(str, counts) {
+  let out = str;
+  for (const pattern of rules.patterns) {
+    out = out.replace(pattern.regex, (match) => {
+      if (pattern.luhn && !luhnValid(match.replace(/\D/g, ""))) return match;
+      count(counts, pattern.name);
+      return pattern.replacement;
+    });
+  }
+  return out;
+}
+
+// Returns a redacted copy; never mutates `value`.
+function redactValue(value, key, counts, depth) {
+  const name = key ? key.toLowerCase() : "";
+  if (rules.skip.has(name) || value === null || value === undefined) return value;
+
+  if (rules.deny.has(name)) {
+    count(counts, "field");
+    return REDACTED;
+  }
+  if (rules.hash.has(name) && (typeof value === "string" || typeof value === "number")) {
+    count(counts, "hash");
+    return hashValue(value);
+  }
+  if (rules.ip.has(name) && typeof value === "string") return redactIp(value, counts);
+
+  if (typeof value === "string") return redactString(value, counts);
+  if (depth >= MAX_DEPTH) return value;
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, null, counts, depth + 1));
+  if (typeof value === "object" && value.constructor === Object) {
+    const out = {};
+    for (const [innerKey, inner] of Object.entries(value)) out[innerKey] = redactValue(inner, innerKey, counts, depth + 1);
+    return out;
+  }
+  return value;
+}
+
+function recordCounts(counts) {
+  for (const [rule, n] of Object.entries(counts)) metrics.logRedactionsTotal.inc({ rule }, n);
+}
+
+/**
+ * Redacted copy of a plain object (a log entry, a request body, ...).
+ */
+function redact(obj) {
+  if (!ENABLED) return obj;
+  const counts = {};
+  const out = redactValue(obj, null, counts, 0);
+  recordCounts(counts);
+  return out;
+}
+
+/**
+ * Winston format redacting every enumerable field of a log entry. Top-level
+ * fields are replaced in place (winston owns `info`); nested objects are
+ * copied so objects passed in as metadata, such as req.query, are untouched.
+ */
+const redactionFormat = winston.format((info) => {
+  if (!ENABLED) return info;
+  const counts = {};
+  for (const key of Object.keys(info)) info[key] = redactValue(info[key], key, counts, 1);
+  recordCounts(counts);
+  return info;
+});
+
+module.exports = {
+  redact,
+  redactionFormat,
+  hashValue,
+};
@@ -0,0 +1,74 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+const tracing = require("./tracing");
+
+/**
+ * Per-request context carried through the async calls made while handling
+ * a request, so logger.* calls deep inside handlers or Mongoose hooks are
+ * tagged with the request that caused them. Long-lived work a request only
+ * starts (generator, incident and job timers) must be set up through
+ * runInBackground, or it would carry that request's fields, and keep its
+ * `req` alive, for as long as it runs.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Inbound ids are echoed back in a header and written to logs, so only
+// accept something short and printable.
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+function newRequestId() {
+  return `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Express middleware: adopt the caller's X-Request-Id (or mint one), echo it
+ * on the response and run the rest of the chain inside the context.
+ */
+function requestContextMiddleware(req, res, next) {
+  const inbound = req.get("x-request-id");
+  const reqId = inbound && REQUEST_ID_RE.test(inbound) ? inbound : newRequestId();
+  req.reqId = reqId;
+  res.set("X-Request-Id", reqId);
+
+  const context = { reqId, req, userId: req.get("x-user-id") || undefined };
+  storage.run(context, next);
+}
+
+/**
+ * Log fields for the current request, or null outside one. The route is
+ * read lazily because Express only knows it once a handler has matched.
+ */
+function currentFields() {
+  const context = storage.getStore();
+  if (!context) return null;
+  const { req } = context;
+  return {
+    reqId: context.reqId,
+    method: req.method,
+    route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+    userId: context.userId,
+  };
+}
+
+/**
+ * Run `fn` outside the current request and trace. Timers and callbacks it
+ * creates log without request fields and start their own traces.
+ */
+function runInBackground(fn) {
+  return storage.exit(() => tracing.withoutSpan(fn));
+}
+
+// Attach the acting user once a handler knows who it is.
+function setUserId(userId) {
+  const context = storage.getStore();
+  if (context && userId) context.userId = String(userId);
+}
+
+module.exports = {
+  requestContextMiddleware,
+  currentFields,
+  setUserId,
+  runInBackground,
+};
@@ -0,0 +1,356 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const { stream, clock, isSeeded } = require("./random");
+
+const PROFILES_DIR = path.join(__dirname, "profiles");
+const PROFILE_EXTENSIONS = [".json", ".yaml", ".yml"];
+const LEVELS = ["error", "warn", "info", "http", "verbose", "debug", "silly"];
+
+// ─── Random helpers ──────────────────────────────────────────────────────────
+// Every generated value comes from this stream so a seed reproduces it.
+const rng = stream("generator");
+
+function randInt(min, max) {
+  return rng.int(min, max);
+}
+
+function pickWeighted(values, weights) {
+  if (!weights) return rng.pick(values);
+  const total = weights.reduce((a, b) => a + b, 0);
+  let r = rng.random() * total;
+  for (let i = 0; i < values.length; i++) {
+    r -= weights[i];
+    if (r < 0) return values[i];
+  }
+  return values[values.length - 1];
+}
+
+function normal(mean, stddev) {
+  // Box–Muller transform
+  const u = 1 - rng.random();
+  const v = rng.random();
+  return mean + stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function clampRound(value, spec) {
+  let out = value;
+  if (spec.min !== undefined) out = Math.max(spec.min, out);
+  if (spec.max !== undefined) out = Math.min(spec.max, out);
+  return parseFloat(out.toFixed(spec.decimals || 0));
+}
+
+// ─── Runtime values ──────────────────────────────────────────────────────────
+const MB = 1024 * 1024;
+const RUNTIME_VALUES = {
+  hostname: () => os.hostname(),
+  platform: () => os.platform(),
+  pid: () => process.pid,
+  loadavg: () => os.loadavg(),
+  uptime: () => Math.round(process.uptime()),
+  totalMemoryMB: () => Math.round(os.totalmem() / MB),
+  freeMemoryMB: () => Math.round(os.freemem() / MB),
+  heapUsedMB: () => Math.round(process.memoryUsage().heapUsed / MB),
+  rssMB: () => Math.round(process.memoryUsage().rss / MB),
+  activeHandles: () => process._getActiveHandles().length,
+  activeRequests: () => process._getActiveRequests().length,
+};
+
+// With a seed, runtime fields describe a simulated host instead of this
+// process, otherwise no two runs could produce the same bytes.
+const hostRng = stream("runtime");
+const SEEDED_RUNTIME_VALUES = {
+  hostname: () => "seeded-host",
+  platform: () => "linux",
+  pid: () => 1,
+  loadavg: () => [0, 0, 0].map(() => parseFloat((hostRng.random() * 2).toFixed(2))),
+  uptime: () => Math.round(clock.elapsedMs() / 1000),
+  totalMemoryMB: () => 8192,
+  freeMemoryMB: () => hostRng.int(2048, 6144),
+  heapUsedMB: () => hostRng.int(40, 120),
+  rssMB: () => hostRng.int(80, 200),
+  activeHandles: () => hostRng.int(5, 20),
+  activeRequests: () => hostRng.int(0, 3),
+};
+
+// ─── Conditions ──────────────────────────────────────────────────────────────
+
+/**
+ * { field, eq | ne | gt | gte | lt | lte | in } evaluated against the
+ * fields generated so far for the current event. Used by `if` guards,
+ * `when` generators, level rules and metric effects.
+ */
+function compileCondition(cond, where) {
+  if (!cond || typeof cond.field !== "string") throw new Error(`${where}: condition needs a "field"`);
+  const tests = [];
+  if ("eq" in cond) tests.push((v) => v === cond.eq);
+  if ("ne" in cond) tests.push((v) => v !== cond.ne);
+  if ("gt" in cond) tests.push((v) => v > cond.gt);
+  if ("gte" in cond) tests.push((v) => v >= cond.gte);
+  if ("lt" in cond) tests.push((v) => v < cond.lt);
+  if ("lte" in cond) tests.push((v) => v <= cond.lte);
+  if ("in" in cond) tests.push((v) => cond.in.includes(v));
+  if (!tests.length) throw new Error(`${where}: condition on "${cond.field}" has no comparison`);
+  return (state) => tests.every((t) => t(state.fields[cond.field]));
+}
+
+// ─── Field generators ────────────────────────────────────────────────────────
+
+function resolveList(ref, lists, where) {
+  if (Array.isArray(ref)) return ref;
+  if (typeof ref === "string" && ref.startsWith("$")) {
+    const list = lists[ref.slice(1)];
+    if (!list) throw new Error(`${where}: unknown list "${ref}"`);
+    return list;
+  }
+  throw new Error(`${where}: expected an array or a "$list" reference`);
+}
+
+function compileTemplate(template, lists, where) {
+  const parts = template.split(/(\{[^}]+\})/).map((part) => {
+    if (!/^\{[^}]+\}$/.test(part)) return () => part;
+    const [kind, a, b] = part.slice(1, -1).split(":");
+    if (kind === "now") return () => clock.now();
+    if (kind === "id") return () => rng.id(parseInt(a || "6", 10));
+    if (kind === "int") return () => randInt(Number(a), Number(b));
+    if (kind === "field") return (state) => state.fields[a];
+    if (kind === "ctx") return (state) => state.ctx[a];
+    if (kind.startsWith("$")) {
+      const list = resolveList(kind, lists, where);
+      return () => pickWeighted(list);
+    }
+    throw new Error(`${where}: unknown template placeholder ${part}`);
+  });
+  return (state) => parts.map((p) => p(state)).join("");
+}
+
+function compileGenerator(spec, lists, where) {
+  if ("when" in spec) {
+    const cond = compileCondition(spec.when, where);
+    const then = compileValue(spec.then, lists, where);
+    const otherwise = compileValue(spec.else, lists, where);
+    return (state) => (cond(state) ? then(state) : otherwise(state));
+  }
+  if ("enum" in spec) {
+    const values = resolveList(spec.enum, lists, where);
+    if (spec.weights && spec.weights.length !== values.length) {
+      throw new Error(`${where}: enum weights must match the number of values`);
+    }
+    return () => pickWeighted(values, spec.weights);
+  }
+  if ("int" in spec) {
+    const [min, max] = spec.int;
+    return () => randInt(min, max);
+  }
+  if ("float" in spec) {
+    const [min, max] = spec.float;
+    return () => parseFloat((min + rng.random() * (max - min)).toFixed(spec.decimals ?? 2));
+  }
+  if ("normal" in spec) {
+    const [mean, stddev] = spec.normal;
+    return () => clampRound(normal(mean, stddev), spec);
+  }
+  if ("exponential" in spec) {
+    const mean = spec.exponential;
+    return () => clampRound(-mean * Math.log(1 - rng.random()), spec);
+  }
+  if ("ramp" in spec) {
+    // Interpolates over ctx.progress (0..1), set by incident phases.
+    const [from, to] = spec.ramp;
+    const jitter = spec.jitter || 0;
+    return (state) => {
+      const progress = Math.min(Math.max(state.ctx.progress || 0, 0), 1);
+      return clampRound(from + (to - from) * progress + (jitter ? normal(0, jitter) : 0), spec);
+    };
+  }
+  if ("bool" in spec) return () => rng.random() < spec.bool;
+  if ("template" in spec) return compileTemplate(spec.template, lists, where);
+  if ("field" in spec) {
+    if (spec.map) return (state) => spec.map[String(state.fields[spec.field])];
+    return (state) => state.fields[spec.field];
+  }
+  if ("context" in spec) return (state) => state.ctx[spec.context];
+  if ("runtime" in spec) {
+    const live = RUNTIME_VALUES[spec.runtime];
+    const seeded = SEEDED_RUNTIME_VALUES[spec.runtime];
+    if (!live) throw new Error(`${where}: unknown runtime value "${spec.runtime}"`);
+    return () => (isSeeded() ? seeded() : live());
+  }
+  if ("object" in spec) {
+    const fields = compileFields(spec.object, lists, where);
+    return (state) => {
+      const nested = { fields: {}, ctx: state.ctx };
+      for (const [key, gen] of fields) nested.fields[key] = gen(nested);
+      return nested.fields;
+    };
+  }
+  throw new Error(`${where}: unknown field generator ${JSON.stringify(spec)}`);
+}
+
+/**
+ * Compile one field spec. Scalars and arrays are literals; objects are
+ * generators, optionally guarded by an `if` condition (undefined otherwise).
+ */
+function compileValue(spec, lists, where) {
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) return () => spec;
+  const gen = compileGenerator(spec, lists, where);
+  if (!spec.if) return gen;
+  const cond = compileCondition(spec.if, where);
+  return (state) => (cond(state) ? gen(state) : undefined);
+}
+
+function compileFields(fields, lists, where) {
+  return Object.entries(fields || {}).map(([key, spec]) => [key, compileValue(spec, lists, `${where}.${key}`)]);
+}
+
+// ─── Level & metric effects ──────────────────────────────────────────────────
+function compileLevel(spec, where) {
+  if (spec === undefined) return () => "info";
+  if (typeof spec === "string") {
+    if (!LEVELS.includes(spec)) throw new Error(`${where}: unknown level "${spec}"`);
+    return () => spec;
+  }
+  const rules = (spec.rules || []).map((rule) => ({ level: rule.level, test: compileCondition(rule, where) }));
+  const fallback = spec.default || "info";
+  return (state) => {
+    const match = rules.find((rule) => rule.test(state));
+    return match ? match.level : fallback;
+  };
+}
+
+function compileLabel(spec) {
+  if (typeof spec === "string" && spec.startsWith("$")) return (state) => state.fields[spec.slice(1)];
+  if (spec && typeof spec === "object" && "field" in spec) {
+    return (state) => (spec.map ? spec.map[String(state.fields[spec.field])] : state.fields[spec.field]);
+  }
+  return () => spec;
+}
+
+function compileMetricEffect(effect, where) {
+  const metric = metrics[effect.metric];
+  const op = effect.op || "inc";
+  if (!metric || typeof metric[op] !== "function") {
+    throw new Error(`${where}: metric "${effect.metric}" does not support "${op}"`);
+  }
+  const labels = Object.entries(effect.labels || {}).map(([name, spec]) => [name, compileLabel(spec)]);
+  const value = effect.value === undefined ? () => (op === "inc" ? 1 : 0) : compileLabel(effect.value);
+  const cond = effect.if ? compileCondition(effect.if, where) : () => true;
+
+  return (state) => {
+    if (!cond(state)) return;
+    const labelValues = {};
+    for (const [name, fn] of labels) labelValues[name] = fn(state);
+    // Exemplar-enabled histograms take a single { labels, value } argument
+    if (op === "observe" && metric.enableExemplars) metric.observe({ labels: labelValues, value: Number(value(state)) });
+    else metric[op](labelValues, Number(value(state)));
+  };
+}
+
+// ─── Scenarios ───────────────────────────────────────────────────────────────
+
+/**
+ * Compile a scenario definition into an emit(ctx) function that generates
+ * its fields, logs the event and applies its metric side effects.
+ */
+function compileScenario(def, lists) {
+  const where = `scenario "${def.name}"`;
+  if (!def.name) throw new Error("Every scenario needs a name");
+  if (!def.message) throw new Error(`${where}: missing message`);
+
+  const fields = compileFields(def.fields, lists, where);
+  const level = compileLevel(def.level, `${where}.level`);
+  const effects = (def.metrics || []).map((effect, i) => compileMetricEffect(effect, `${where}.metrics[${i}]`));
+
+  return {
+    name: def.name,
+    weight: def.weight === undefined ? 1 : def.weight,
+    emit(ctx = {}) {
+      const state = { fields: {}, ctx };
+      for (const [key, gen] of fields) state.fields[key] = gen(state);
+      logger[level(state)](def.message, state.fields);
+      for (const apply of effects) apply(state);
+      return state.fields;
+    },
+  };
+}
+
+function expandList(spec, name) {
+  if (Array.isArray(spec)) return spec;
+  if (spec && typeof spec.pattern === "string" && Number.isInteger(spec.count)) {
+    const startAt = spec.start === undefined ? 1 : spec.start;
+    return Array.from({ length: spec.count }, (_, i) => spec.pattern.replace("{n}", String(startAt + i)));
+  }
+  throw new Error(`list "${name}" must be an array or { pattern, count }`);
+}
+
+/**
+ * Validate and compile a parsed profile. Throws with a descriptive message
+ * on the first problem so a bad profile never half-starts.
+ */
+function compileProfile(profile) {
+  if (!profile || !Array.isArray(profile.scenarios) || !profile.scenarios.length) {
+    throw new Error("Profile must define a non-empty scenarios array");
+  }
+  const lists = {};
+  for (const [name, spec] of Object.entries(profile.lists || {})) lists[name] = expandList(spec, name);
+
+  const scenarios = new Map();
+  for (const def of profile.scenarios) {
+    if (scenarios.has(def.name)) throw new Error(`Duplicate scenario "${def.name}"`);
+    scenarios.set(def.name, compileScenario(def, lists));
+  }
+
+  return {
+    name: profile.name || "unnamed",
+    description: profile.description || "",
+    scenarios,
+    schedules: profile.schedules || [],
+  };
+}
+
+/**
+ * Resolve a definition name (looked up in `dir`) or a file path, then
+ * parse it as JSON or YAML according to its extension.
+ */
+function readDefinition(dir, nameOrPath) {
+  let file = null;
+  if (fs.existsSync(nameOrPath) && fs.statSync(nameOrPath).isFile()) file = nameOrPath;
+  for (const ext of PROFILE_EXTENSIONS) {
+    const candidate = path.join(dir, `${nameOrPath}${ext}`);
+    if (!file && fs.existsSync(candidate)) file = candidate;
+  }
+  if (!file) throw new Error(`Definition not found: ${nameOrPath}`);
+  const raw = fs.readFileSync(file, "utf8");
+  return path.extname(file) === ".json" ? JSON.parse(raw) : yaml.load(raw);
+}
+
+function listDefinitions(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => PROFILE_EXTENSIONS.includes(path.extname(file)))
+    .map((file) => path.basename(file, path.extname(file)));
+}
+
+function loadProfile(nameOrPath) {
+  return compileProfile(readDefinition(PROFILES_DIR, nameOrPath));
+}
+
+function listProfiles() {
+  return listDefinitions(PROFILES_DIR);
+}
+
+module.exports = {
+  compileProfile,
+  loadProfile,
+  listProfiles,
+  readDefinition,
+  listDefinitions,
+  pickWeighted,
+  randInt,
+};
@@ -0,0 +1,168 @@
+"use strict";
+
+const mongoose = require("mongoose");
+const logger = require("./logger");
+const pushgateway = require("./pushgateway");
+const tracing = require("./tracing");
+const logStream = require("./logStream");
+const loadTest = require("./loadTest");
+const incidents = require("./incidents");
+const generatorControl = require("./generatorControl");
+const jobQueue = require("./jobQueue");
+
+/**
+ * Graceful shutdown on SIGTERM / SIGINT:
+ *   1. stop accepting connections; requests on connections that are still
+ *      open get Connection: close, and /readyz answers 503
+ *   2. stop the generator, incident and load test; end live-tail streams
+ *   3. stop claiming background jobs and wait for running ones; a job
+ *      cut off here is retried by the next worker once its lease expires
+ *   4. wait for in-flight requests, up to SHUTDOWN_DRAIN_TIMEOUT_MS, then
+ *      cut whatever is left
+ *   5. final Pushgateway push, or delete the job's group when
+ *      PUSHGATEWAY_DELETE_ON_SHUTDOWN=true
+ *   6. flush spans, close MongoDB, drain buffered log transports
+ * A step that fails or takes over 3s is logged and skipped. A second
+ * signal, or the whole sequence taking longer than SHUTDOWN_TIMEOUT_MS,
+ * exits immediately.
+ */
+
+const DRAIN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || "10000", 10);
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || "20000", 10);
+// Per step, so one unreachable dependency cannot use up the whole budget
+const STEP_TIMEOUT_MS = 3000;
+const LOG_DRAIN_TIMEOUT_MS = 2000;
+const SIGNAL_DEBOUNCE_MS = 1000;
+const DELETE_ON_SHUTDOWN = process.env.PUSHGATEWAY_DELETE_ON_SHUTDOWN === "true";
+
+let shuttingDown = false;
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// Ask keep-alive clients to reconnect (to another replica) once draining
+function drainMiddleware(req, res, next) {
+  if (shuttingDown) res.set("Connection", "close");
+  next();
+}
+
+// ─── Steps ───────────────────────────────────────────────────────────────────
+
+async function step(name, fn, timeoutMs = STEP_TIMEOUT_MS) {
+  const start = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    await Promise.race([fn(), timeout]);
+    logger.info("Shutdown step completed", { type: "shutdown", event: "step_completed", step: name, duration: Date.now() - start });
+  } catch (err) {
+    logger.error("Shutdown step failed", { type: "shutdown", event: "step_failed", step: name, duration: Date.now() - start, error: err.message });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function stopWork() {
+  const generator = generatorControl.getGenerator();
+  if (generator) generator.stop();
+  incidents.stopIncident();
+  loadTest.stopActive();
+  logStream.closeAll();
+}
+
+/**
+ * Resolve once every connection has closed. After DRAIN_TIMEOUT_MS the
+ * remaining ones are destroyed.
+ */
+function drainConnections(server) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      server.getConnections((err, count) => {
+        logger.warn("Drain timed out, closing remaining connections", {
+          type: "shutdown",
+          event: "drain_timeout",
+          connections: err ? undefined : count,
+          timeoutMs: DRAIN_TIMEOUT_MS,
+        });
+        server.closeAllConnections();
+      });
+    }, DRAIN_TIMEOUT_MS);
+
+    server.close((err) => {
+      clearTimeout(timer);
+      if (err && err.code !== "ERR_SERVER_NOT_RUNNING") reject(err);
+      else resolve();
+    });
+    // Node 18 keeps idle keep-alive sockets open after close()
+    server.closeIdleConnections();
+  });
+}
+
+async function finalPush() {
+  pushgateway.stop();
+  // A final push would be deleted right away; skip straight to the delete
+  if (DELETE_ON_SHUTDOWN) return pushgateway.deleteGroup();
+  if (!(await pushgateway.push())) throw new Error("final push failed");
+}
+
+async function drainLogTransports() {
+  const deadline = Date.now() + LOG_DRAIN_TIMEOUT_MS;
+  await Promise.all(logger.transports.filter((t) => typeof t.drain === "function").map((t) => t.drain(deadline)));
+}
+
+// ─── Sequence ────────────────────────────────────────────────────────────────
+
+async function shutdown(server, signal) {
+  shuttingDown = true;
+  const start = Date.now();
+  server.getConnections((err, connections) => {
+    logger.warn("Shutdown started", { type: "shutdown", event: "started", signal, connections: err ? undefined : connections });
+  });
+
+  await step("stop_work", stopWork);
+  await step("jobs", jobQueue.stop);
+  await step("drain_connections", () => drainConnections(server), DRAIN_TIMEOUT_MS + STEP_TIMEOUT_MS);
+  await step("pushgateway", finalPush);
+  await step("tracing", tracing.flushAll);
+  await step("mongodb", () => mongoose.connection.close());
+
+  logger.info("Shutdown complete", { type: "shutdown", event: "completed", signal, duration: Date.now() - start });
+  await drainLogTransports();
+}
+
+// Run the shutdown sequence on SIGTERM / SIGINT
+function installShutdownHandlers(server) {
+  let signalledAt = 0;
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      // Wrappers (npm, timeout, Ctrl-C in a terminal) often deliver the same
+      // signal to the whole process group; only a later one forces the exit
+      if (Date.now() - signalledAt < SIGNAL_DEBOUNCE_MS) return;
+      logger.warn("Second signal received, exiting immediately", { type: "shutdown", event: "forced", signal });
+      process.exit(1);
+    }
+    signalledAt = Date.now();
+    setTimeout(() => {
+      logger.error("Shutdown timed out, exiting", { type: "shutdown", event: "timeout", timeoutMs: SHUTDOWN_TIMEOUT_MS });
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    shutdown(server, signal)
+      .then(() => process.exit(0))
+      .catch((err) => {
+        logger.error("Shutdown failed", { type: "shutdown", event: "failed", error: err.message });
+        process.exit(1);
+      });
+  };
+  process.on("SIGTERM", onSignal);
+  process.on("SIGINT", onSignal);
+}
+
+module.exports = {
+  drainMiddleware,
+  installShutdownHandlers,
+  isShuttingDown,
+};
@@ -0,0 +1,418 @@
+"use strict";
+
+const express = require("express");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const { LogEntry } = require("./models");
+const { isTimeout } = require("./dbInstrumentation");
+const { stream } = require("./random");
+const { runInBackground } = require("./requestContext");
+
+/**
+ * Fault injection endpoints used to prove that alerts fire. Every endpoint
+ * accepts GET with query parameters or POST with a JSON body; with no
+ * parameters they behave like the original fixed simulations.
+ *
+ * Common parameters:
+ *   latency     none | fixed | uniform | normal | exponential
+ *   latencyMs   fixed delay, or the mean for normal / exponential
+ *   minMs/maxMs bounds for uniform
+ *   stddevMs    standard deviation for normal
+ *   status      response status code, 200-599 (1xx would break HTTP framing)
+ *   payloadKB   size of padding added to the response body
+ *   repeat      how many times the event is logged / counted
+ *
+ * The heavier faults (cpu, memory-leak, block, unhandled-rejection,
+ * drop-connection, db-timeout) each map to one rule in
+ * prometheus/rules/alerts.yml.
+ */
+
+const MAX_LATENCY_MS = 60000;
+const MAX_PAYLOAD_KB = 1024;
+const MAX_REPEAT = 100;
+const MAX_SPIN_MS = 60000;
+const MAX_BLOCK_MS = 30000;
+const MAX_LEAK_MB = parseInt(process.env.SIMULATE_MAX_LEAK_MB || "1024", 10);
+const LATENCY_DISTRIBUTIONS = ["none", "fixed", "uniform", "normal", "exponential"];
+const AUTH_REASONS = ["invalid_password", "account_locked", "token_expired", "invalid_token"];
+const ERROR_TYPES = ["Error", "TypeError", "RangeError", "ReferenceError", "SyntaxError", "DatabaseError", "TimeoutError"];
+
+// Slices the CPU spin is cut into, so utilization below 1 can yield
+const SPIN_SLICE_MS = 100;
+// Array of doubles that takes up roughly 1MB of V8 heap
+const LEAK_CHUNK_LENGTH = (1024 * 1024) / 8;
+
+const rng = stream("simulate");
+const router = express.Router();
+
+// Chunks retained on purpose by /memory-leak until DELETE releases them
+const leaked = [];
+let leakTimer = null;
+
+// ─── Parameters ──────────────────────────────────────────────────────────────
+
+/**
+ * Reader over query and body parameters (body wins). Query values are
+ * strings, so numbers are parsed from either. Problems are collected in
+ * `errors` rather than thrown, so one response can list all of them.
+ */
+function paramReader(req) {
+  const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  const params = { ...req.query, ...body };
+  const errors = [];
+  return {
+    errors,
+    number(name, fallback, min, max, { integer = false } = {}) {
+      if (params[name] === undefined || params[name] === "") return fallback;
+      const value = Number(params[name]);
+      if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+        errors.push(`${name} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`);
+        return fallback;
+      }
+      return value;
+    },
+    oneOf(name, fallback, values) {
+      if (params[name] === undefined || params[name] === "") return fallback;
+      if (!values.includes(params[name])) {
+        errors.push(`${name} must be one of ${values.join(", ")}`);
+        return fallback;
+      }
+      return params[name];
+    },
+    string(name, fallback, maxLength = 200) {
+      if (params[name] === undefined || params[name] === "") return fallback;
+      if (typeof params[name] !== "string" || params[name].length > maxLength) {
+        errors.push(`${name} must be a string of at most ${maxLength} characters`);
+        return fallback;
+      }
+      return params[name];
+    },
+  };
+}
+
+// Latency distribution from the common parameters; `defaults` lets /slow
+// keep its original uniform 1–5s delay.
+function readLatency(params, defaults = { latency: "none" }) {
+  const dist = params.oneOf("latency", defaults.latency, LATENCY_DISTRIBUTIONS);
+  const latency = {
+    dist,
+    latencyMs: params.number("latencyMs", defaults.latencyMs || 1000, 0, MAX_LATENCY_MS),
+    minMs: params.number("minMs", defaults.minMs || 0, 0, MAX_LATENCY_MS),
+    maxMs: params.number("maxMs", defaults.maxMs || 1000, 0, MAX_LATENCY_MS),
+    stddevMs: params.number("stddevMs", defaults.stddevMs || 100, 0, MAX_LATENCY_MS),
+  };
+  if (dist === "uniform" && latency.minMs > latency.maxMs) params.errors.push("minMs must not be greater than maxMs");
+  return latency;
+}
+
+function sampleLatency({ dist, latencyMs, minMs, maxMs, stddevMs }) {
+  let ms;
+  switch (dist) {
+    case "fixed":
+      ms = latencyMs;
+      break;
+    case "uniform":
+      ms = minMs + rng.random() * (maxMs - minMs);
+      break;
+    case "normal": {
+      // Box–Muller; 1 - random() keeps log() away from zero
+      const z = Math.sqrt(-2 * Math.log(1 - rng.random())) * Math.cos(2 * Math.PI * rng.random());
+      ms = latencyMs + z * stddevMs;
+      break;
+    }
+    case "exponential":
+      ms = -latencyMs * Math.log(1 - rng.random());
+      break;
+    default:
+      ms = 0;
+  }
+  return Math.min(Math.max(ms, 0), MAX_LATENCY_MS);
+}
+
+function readCommon(params, defaults = {}) {
+  return {
+    latency: readLatency(params, defaults.latency),
+    status: params.number("status", defaults.status || 200, 200, 599, { integer: true }),
+    payloadKB: params.number("payloadKB", 0, 0, MAX_PAYLOAD_KB),
+    repeat: params.number("repeat", 1, 1, MAX_REPEAT, { integer: true }),
+  };
+}
+
+function withPayload(body, payloadKB) {
+  return payloadKB ? { ...body, padding: "x".repeat(Math.round(payloadKB * 1024)) } : body;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Register `handler(req, res, params)` for both GET and POST
+function simulate(path, handler) {
+  const run = async (req, res) => {
+    const params = paramReader(req);
+    try {
+      await handler(req, res, params);
+    } catch (err) {
+      logger.error("Simulation failed", { type: "simulation", endpoint: req.path, error: err.message });
+      if (!res.headersSent) res.status(500).json({ error: "Internal server error" });
+    }
+  };
+  router.route(path).get(run).post(run);
+}
+
+// Returns true (and answers 400) when the parameters did not validate
+function rejectInvalid(res, params) {
+  if (!params.errors.length) return false;
+  res.status(400).json({ error: "Invalid simulation parameters", details: params.errors });
+  return true;
+}
+
+function countFault(fault) {
+  metrics.simulatedFaultsTotal.inc({ fault });
+}
+
+// ─── Classic simulations ─────────────────────────────────────────────────────
+
+simulate("/error", async (req, res, params) => {
+  const common = readCommon(params, { status: 500 });
+  const errorType = params.oneOf("errorType", "Error", ERROR_TYPES);
+  const message = params.string("message", "Simulated critical application error");
+  if (common.status < 400) params.errors.push("status must be between 400 and 599");
+  if (rejectInvalid(res, params)) return;
+
+  await sleep(sampleLatency(common.latency));
+  const err = new Error(message);
+  err.name = errorType;
+  for (let i = 0; i < common.repeat; i++) {
+    logger.error("CRITICAL: Application error occurred", {
+      type: "application-error",
+      severity: common.status >= 500 ? "critical" : "high",
+      errorCode: `ERR_SIM_${common.status}`,
+      errorType,
+      message: err.message,
+      stack: err.stack,
+      pid: process.pid,
+      memory: process.memoryUsage(),
+    });
+  }
+  res.status(common.status).json(withPayload({ error: "Simulated error", errorType }, common.payloadKB));
+});
+
+simulate("/warning", async (req, res, params) => {
+  const common = readCommon(params);
+  const threshold = params.number("thresholdPercent", 80, 1, 100);
+  if (rejectInvalid(res, params)) return;
+
+  await sleep(sampleLatency(common.latency));
+  for (let i = 0; i < common.repeat; i++) {
+    const mem = process.memoryUsage();
+    logger.warn("High memory usage detected", {
+      type: "performance",
+      category: "memory",
+      heapUsedMB: Math.round(mem.heapUsed / 1024 / 1024),
+      heapTotalMB: Math.round(mem.heapTotal / 1024 / 1024),
+      rssMB: Math.round(mem.rss / 1024 / 1024),
+      externalMB: Math.round(mem.external / 1024 / 1024),
+      threshold: `${threshold}%`,
+    });
+  }
+  res.status(common.status).json(withPayload({ warning: "simulated warning logged", count: common.repeat }, common.payloadKB));
+});
+
+simulate("/auth-fail", async (req, res, params) => {
+  const common = readCommon(params, { status: 401 });
+  const fixedReason = params.oneOf("reason", null, AUTH_REASONS);
+  const user = params.string("user", null, 64);
+  if (![401, 403].includes(common.status)) params.errors.push("status must be 401 or 403");
+  if (rejectInvalid(res, params)) return;
+
+  await sleep(sampleLatency(common.latency));
+  for (let i = 0; i < common.repeat; i++) {
+    const reason = fixedReason || rng.pick(AUTH_REASONS);
+    logger.warn("Authentication failure", {
+      type: "security",
+      event: "authentication_failed",
+      severity: "high",
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      attemptedUser: user || `user_${rng.int(0, 99)}`,
+      reason,
+      geoip: { country: "US", city: rng.pick(["New York", "Los Angeles", "Chicago", "Houston"]) },
+    });
+    metrics.authFailuresTotal.inc({ reason });
+  }
+  res.status(common.status).json(withPayload({ error: common.status === 403 ? "Forbidden" : "Unauthorized" }, common.payloadKB));
+});
+
+simulate("/slow", async (req, res, params) => {
+  const common = readCommon(params, { latency: { latency: "uniform", minMs: 1000, maxMs: 5000 } });
+  const thresholdMs = params.number("thresholdMs", 3000, 0, MAX_LATENCY_MS);
+  if (rejectInvalid(res, params)) return;
+
+  const start = Date.now();
+  const delay = sampleLatency(common.latency);
+  logger.info("Starting slow operation", { type: "performance", category: "latency", distribution: common.latency.dist, expectedDelay: Math.round(delay) });
+  await sleep(delay);
+  const duration = Date.now() - start;
+  logger.warn("Slow operation completed", {
+    type: "performance",
+    category: "latency",
+    duration,
+    endpoint: "/api/simulate/slow",
+    exceededThreshold: duration > thresholdMs,
+  });
+  res.status(common.status).json(withPayload({ message: "slow response", duration }, common.payloadKB));
+});
+
+// ─── Resource faults ─────────────────────────────────────────────────────────
+
+/**
+ * Burn CPU for `durationMs`. At `utilization` 1 the event loop is busy the
+ * whole time in 100ms slices; below 1 each slice is followed by an idle gap,
+ * so the process stays responsive while process_cpu_seconds_total climbs.
+ */
+simulate("/cpu", async (req, res, params) => {
+  const durationMs = params.number("durationMs", 5000, 1, MAX_SPIN_MS, { integer: true });
+  const utilization = params.number("utilization", 1, 0.05, 1);
+  if (rejectInvalid(res, params)) return;
+
+  countFault("cpu");
+  logger.warn("Simulated CPU spin started", { type: "simulation", event: "cpu_spin", durationMs, utilization });
+  const start = Date.now();
+  const busyMs = SPIN_SLICE_MS * utilization;
+  while (Date.now() - start < durationMs) {
+    const sliceEnd = Math.min(Date.now() + busyMs, start + durationMs);
+    while (Date.now() < sliceEnd);
+    await sleep(SPIN_SLICE_MS - busyMs);
+  }
+  const cpu = process.cpuUsage();
+  res.json({ fault: "cpu", durationMs: Date.now() - start, utilization, cpuUserMs: Math.round(cpu.user / 1000) });
+});
+
+function retainedMB() {
+  return leaked.length;
+}
+
+/**
+ * Retain `mb` megabytes of heap, optionally spread over `steps` steps
+ * `intervalMs` apart so the growth looks like a leak rather than a spike.
+ * Answers immediately; growth continues in the background until done,
+ * MAX_LEAK_MB is reached or DELETE releases everything.
+ */
+simulate("/memory-leak", async (req, res, params) => {
+  const mb = params.number("mb", 50, 1, MAX_LEAK_MB, { integer: true });
+  const steps = params.number("steps", 1, 1, 1000, { integer: true });
+  const intervalMs = params.number("intervalMs", 1000, 10, 60000, { integer: true });
+  if (rejectInvalid(res, params)) return;
+  if (leakTimer) return res.status(409).json({ error: "A memory leak is already growing", retainedMB: retainedMB() });
+
+  countFault("memory_leak");
+  const perStep = Math.ceil(mb / steps);
+  let remaining = mb;
+  const grow = () => {
+    const chunk = Math.min(perStep, remaining, MAX_LEAK_MB - retainedMB());
+    for (let i = 0; i < chunk; i++) leaked.push(new Array(LEAK_CHUNK_LENGTH).fill(rng.random()));
+    remaining -= chunk;
+    metrics.simulatedLeakBytes.set(retainedMB() * 1024 * 1024);
+    logger.warn("Simulated memory leak grew", { type: "simulation", event: "memory_leak", retainedMB: retainedMB(), heapUsedMB: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) });
+    if (remaining <= 0 || chunk === 0) {
+      clearInterval(leakTimer);
+      leakTimer = null;
+    }
+  };
+  // Keeps growing after the response; must not hold on to this request
+  leakTimer = runInBackground(() => setInterval(grow, intervalMs));
+  leakTimer.unref();
+  grow();
+  res.status(202).json({ fault: "memory_leak", mb, steps, intervalMs, retainedMB: retainedMB(), maxMB: MAX_LEAK_MB });
+});
+
+router.delete("/memory-leak", (req, res) => {
+  clearInterval(leakTimer);
+  leakTimer = null;
+  const releasedMB = retainedMB();
+  leaked.length = 0;
+  metrics.simulatedLeakBytes.set(0);
+  logger.info("Simulated memory leak released", { type: "simulation", event: "memory_leak_released", releasedMB });
+  res.json({ releasedMB });
+});
+
+/**
+ * Block the event loop synchronously for `durationMs`. Every other request,
+ * /metrics included, waits until it is over.
+ */
+simulate("/block", async (req, res, params) => {
+  const durationMs = params.number("durationMs", 2000, 1, MAX_BLOCK_MS, { integer: true });
+  if (rejectInvalid(res, params)) return;
+
+  countFault("event_loop_block");
+  logger.warn("Simulated event loop block started", { type: "simulation", event: "event_loop_block", durationMs });
+  const start = Date.now();
+  while (Date.now() - start < durationMs);
+  res.json({ fault: "event_loop_block", durationMs: Date.now() - start });
+});
+
+// ─── Process and connection faults ───────────────────────────────────────────
+
+/**
+ * Reject a promise nobody handles. The process-level handler in server.js
+ * logs it and counts errors_total{type="unhandled_rejection"}.
+ */
+simulate("/unhandled-rejection", async (req, res, params) => {
+  const message = params.string("message", "Simulated unhandled promise rejection");
+  const { repeat } = readCommon(params);
+  if (rejectInvalid(res, params)) return;
+
+  countFault("unhandled_rejection");
+  for (let i = 0; i < repeat; i++) Promise.reject(new Error(message));
+  res.status(202).json({ fault: "unhandled_rejection", count: repeat });
+});
+
+/**
+ * Destroy the socket without answering, after the usual latency
+ * parameters. The client sees a reset connection / empty reply.
+ */
+simulate("/drop-connection", async (req, res, params) => {
+  const { latency } = readCommon(params);
+  if (rejectInvalid(res, params)) return;
+
+  await sleep(sampleLatency(latency));
+  countFault("dropped_connection");
+  logger.warn("Simulated dropped connection", { type: "simulation", event: "dropped_connection", ip: req.ip });
+  req.socket.destroy();
+});
+
+/**
+ * Run a MongoDB aggregation that sleeps server-side for `sleepMs` under a
+ * `timeoutMs` maxTimeMS, so the driver gets a genuine MaxTimeMSExpired.
+ * $unionWith/$documents yields one document even on an empty collection;
+ * $function needs server-side JavaScript, which MongoDB enables by default.
+ */
+simulate("/db-timeout", async (req, res, params) => {
+  const timeoutMs = params.number("timeoutMs", 1000, 1, 30000, { integer: true });
+  const sleepMs = params.number("sleepMs", timeoutMs * 2, 1, 60000, { integer: true });
+  if (rejectInvalid(res, params)) return;
+
+  countFault("db_timeout");
+  const start = Date.now();
+  try {
+    await LogEntry.aggregate([
+      { $limit: 0 },
+      { $unionWith: { pipeline: [{ $documents: [{ probe: 1 }] }] } },
+      { $match: { $expr: { $function: { body: `function() { sleep(${sleepMs}); return true; }`, args: [], lang: "js" } } } },
+    ]).option({ maxTimeMS: timeoutMs });
+    res.json({ fault: "db_timeout", timedOut: false, duration: Date.now() - start });
+  } catch (err) {
+    const timedOut = isTimeout(err);
+    logger.error(timedOut ? "Database operation timed out" : "Database operation failed", {
+      type: "database",
+      event: timedOut ? "db_timeout" : "db_error",
+      timeoutMs,
+      duration: Date.now() - start,
+      error: err.message,
+    });
+    res.status(timedOut ? 504 : 500).json({ error: timedOut ? "Database timeout" : "Database error", details: [err.message] });
+  }
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,179 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const yaml = require("js-yaml");
+const { latencyHistogramsFor } = require("./httpMetrics");
+
+/**
+ * Service level objectives declared in slo.yaml (or SLO_FILE), served as
+ * Prometheus rules so the SLO math lives next to the metrics it reads:
+ *
+ *   GET /api/slo         the objectives with their error budget and the
+ *                        metric each one is computed from
+ *   GET /api/slo/rules   rule file for Prometheus' rule_files (YAML, or
+ *                        JSON with ?format=json)
+ *
+ * Every SLO gets slo:sli_error:ratio_rate<window> recording rules and the
+ * multi-window burn-rate alerts from the Google SRE workbook: page when
+ * 2% of the 30-day budget burns in an hour or 5% in six hours, open a
+ * ticket when 10% burns in a day or three days.
+ */
+
+const SLO_FILE = process.env.SLO_FILE || path.join(__dirname, "slo.yaml");
+const TYPES = ["availability", "latency"];
+const SELECTOR = 'app="test-backend"';
+const ERROR_STATUS = "5..|aborted";
+const WINDOWS = ["5m", "30m", "1h", "2h", "6h", "1d", "3d"];
+const BURN_RATE_ALERTS = [
+  { long: "1h", short: "5m", factor: 14.4, for: "2m", severity: "critical" },
+  { long: "6h", short: "30m", factor: 6, for: "15m", severity: "critical" },
+  { long: "1d", short: "2h", factor: 3, for: "1h", severity: "warning" },
+  { long: "3d", short: "6h", factor: 1, for: "3h", severity: "warning" },
+];
+
+// ─── Declarations ────────────────────────────────────────────────────────────
+
+// Latency SLOs need a histogram with a bucket boundary at the threshold
+// that every one of their routes is recorded in.
+function latencyMetricFor(slo) {
+  const perRoute = slo.routes.map((route) => latencyHistogramsFor(route));
+  const shared = perRoute[0].filter((histogram) => perRoute.every((list) => list.some((h) => h.metric === histogram.metric)));
+  const usable = shared.find((histogram) => histogram.buckets.includes(slo.thresholdMs));
+  if (!usable) {
+    const bounds = shared.map((h) => `${h.metric}: ${h.buckets.join(", ")}`).join("; ");
+    throw new Error(`thresholdMs ${slo.thresholdMs} is not a bucket boundary of the routes' latency histograms (${bounds})`);
+  }
+  return usable.metric;
+}
+
+function compileSlo(def, index) {
+  const errors = [];
+  const label = def && def.name ? `"${def.name}"` : `#${index + 1}`;
+  if (!def || typeof def !== "object") throw new Error(`SLO ${label} must be an object`);
+  if (!(typeof def.name === "string" && /^[a-z0-9][a-z0-9-]{0,62}$/.test(def.name))) {
+    errors.push("name must be lower-case letters, digits and '-'");
+  }
+  if (!TYPES.includes(def.type)) errors.push(`type must be one of ${TYPES.join(", ")}`);
+  if (!(Array.isArray(def.routes) && def.routes.length && def.routes.every((r) => typeof r === "string" && r.startsWith("/")))) {
+    errors.push("routes must be a non-empty list of route labels");
+  }
+  if (!(typeof def.objective === "number" && def.objective > 0 && def.objective < 100)) {
+    errors.push("objective must be a percentage between 0 and 100");
+  }
+  if (def.type === "latency" && !(typeof def.thresholdMs === "number" && def.thresholdMs > 0)) {
+    errors.push("thresholdMs is required for latency SLOs");
+  }
+  if (errors.length) throw new Error(`SLO ${label}: ${errors.join("; ")}`);
+
+  const slo = {
+    name: def.name,
+    description: def.description || "",
+    type: def.type,
+    routes: def.routes,
+    objective: def.objective,
+    thresholdMs: def.type === "latency" ? def.thresholdMs : undefined,
+  };
+  try {
+    slo.metric = slo.type === "latency" ? latencyMetricFor(slo) : "http_requests_total";
+  } catch (err) {
+    throw new Error(`SLO ${label}: ${err.message}`);
+  }
+  return slo;
+}
+
+function loadSlos(file) {
+  const doc = yaml.load(fs.readFileSync(file, "utf8")) || {};
+  const defs = doc.slos || [];
+  if (!Array.isArray(defs)) throw new Error(`${file}: slos must be a list`);
+  const slos = defs.map(compileSlo);
+  const names = new Set();
+  for (const slo of slos) {
+    if (names.has(slo.name)) throw new Error(`${file}: duplicate SLO "${slo.name}"`);
+    names.add(slo.name);
+  }
+  return slos;
+}
+
+const slos = loadSlos(SLO_FILE);
+
+// ─── Rule generation ─────────────────────────────────────────────────────────
+
+// Route labels as an anchored PromQL (RE2) alternation inside a string literal
+function routeMatcher(routes) {
+  return routes.map((route) => route.replace(/[.+*?^${}()|[\]\\]/g, "\\\\$&")).join("|");
+}
+
+function errorRatioExpr(slo, window) {
+  const selector = `${SELECTOR},route=~"${routeMatcher(slo.routes)}"`;
+  if (slo.type === "availability") {
+    return (
+      `sum(rate(http_requests_total{${selector},status_code=~"${ERROR_STATUS}"}[${window}]))\n` +
+      `/\nsum(rate(http_requests_total{${selector}}[${window}]))`
+    );
+  }
+  return (
+    `1 - (\n  sum(rate(${slo.metric}_bucket{${selector},le="${slo.thresholdMs}"}[${window}]))\n` +
+    `  /\n  sum(rate(${slo.metric}_count{${selector}}[${window}]))\n)`
+  );
+}
+
+const alertName = (slo) => `${slo.name.split("-").map((w) => w[0].toUpperCase() + w.slice(1)).join("")}ErrorBudgetBurn`;
+const budget = (slo) => Math.round((100 - slo.objective) * 1e6) / 1e8;
+
+function rulesFor(slo) {
+  const labels = { slo: slo.name, slo_type: slo.type };
+  const rules = [
+    { record: "slo:objective:ratio", expr: `vector(${slo.objective / 100})`, labels },
+    ...WINDOWS.map((window) => ({ record: `slo:sli_error:ratio_rate${window}`, expr: errorRatioExpr(slo, window), labels })),
+  ];
+  for (const alert of BURN_RATE_ALERTS) {
+    const threshold = `(${alert.factor} * ${budget(slo)})`;
+    const selector = `{slo="${slo.name}"}`;
+    rules.push({
+      alert: alertName(slo),
+      expr:
+        `slo:sli_error:ratio_rate${alert.long}${selector} > ${threshold}\n` +
+        `and\nslo:sli_error:ratio_rate${alert.short}${selector} > ${threshold}`,
+      for: alert.for,
+      labels: { severity: alert.severity, slo: slo.name, long_window: alert.long },
+      annotations: {
+        summary: `SLO ${slo.name} is burning its error budget ${alert.factor}x faster than sustainable (${alert.long} and ${alert.short} windows)`,
+        description: slo.description || undefined,
+      },
+    });
+  }
+  return { name: `slo-${slo.name}`, rules };
+}
+
+/**
+ * The rule file for every declared SLO, as a plain object in Prometheus'
+ * rule file layout.
+ */
+function generateRules() {
+  return { groups: slos.map(rulesFor) };
+}
+
+function summary(slo) {
+  return { ...slo, errorBudget: budget(slo) };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  res.json({ file: SLO_FILE, slos: slos.map(summary) });
+});
+
+router.get("/rules", (req, res) => {
+  const rules = JSON.parse(JSON.stringify(generateRules()));
+  if (req.query.format === "json") return res.json(rules);
+  const header = `# Generated by test-backend from ${path.basename(SLO_FILE)} (GET /api/slo/rules). Do not edit.\n`;
+  res.type("application/yaml").send(header + yaml.dump(rules, { lineWidth: -1, noRefs: true }));
+});
+
+module.exports = {
+  router,
+  generateRules,
+};
@@ -0,0 +1,270 @@
+"use strict";
+
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const metrics = require("./metrics");
+
+/**
+ * Minimal OpenTelemetry-style tracer: W3C traceparent in and out, spans
+ * carried through async calls with AsyncLocalStorage, and batched export
+ * as OTLP/HTTP JSON. Spans are always created so logs can carry trace ids;
+ * they are only exported when an endpoint is configured and the trace is
+ * sampled.
+ */
+
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || "test-backend";
+const OTLP_ENDPOINT =
+  process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+  (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, "")}/v1/traces` : null);
+const OTLP_HEADERS = parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS || "");
+const SAMPLE_RATIO = parseFloat(process.env.OTEL_TRACES_SAMPLER_ARG || "1");
+const EXPORT_INTERVAL_MS = parseInt(process.env.OTEL_BSP_SCHEDULE_DELAY || "5000", 10);
+const EXPORT_TIMEOUT_MS = 10000;
+const MAX_QUEUE_SIZE = 2048;
+const MAX_BATCH_SIZE = 512;
+
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const storage = new AsyncLocalStorage();
+const queue = [];
+
+function parseHeaders(raw) {
+  const headers = {};
+  for (const pair of raw.split(",")) {
+    const [key, ...value] = pair.split("=");
+    if (key && value.length) headers[key.trim()] = value.join("=").trim();
+  }
+  return headers;
+}
+
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+function randomHex(bytes) {
+  let id;
+  do id = crypto.randomBytes(bytes).toString("hex");
+  while (/^0+$/.test(id));
+  return id;
+}
+
+// ─── traceparent ─────────────────────────────────────────────────────────────
+const TRACEPARENT_RE = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Parse a W3C traceparent header. Returns null for anything malformed,
+ * version ff, or all-zero ids, in which case a new trace is started.
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_RE.exec(String(header || "").trim().toLowerCase());
+  if (!match) return null;
+  const [, version, traceId, spanId, flags] = match;
+  if (version === "ff" || /^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+function traceparentFor(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.sampled ? "01" : "00"}`;
+}
+
+// ─── Spans ───────────────────────────────────────────────────────────────────
+
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === "boolean") return { key, value: { boolValue: value } };
+      if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+      if (typeof value === "number") return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * Start a span. The parent is, in order: `options.parent` (a span or a
+ * parsed traceparent), the span active in the current async context, or
+ * none — in which case a new trace is started and the sampler decides.
+ * `options.root` skips the active span, for background work that should
+ * get its own trace even when a request started it.
+ */
+function startSpan(name, options = {}) {
+  const parent = options.parent || (options.root ? null : storage.getStore()) || null;
+  const span = {
+    name,
+    kind: options.kind || SPAN_KIND.INTERNAL,
+    traceId: parent ? parent.traceId : randomHex(16),
+    spanId: randomHex(8),
+    parentSpanId: parent ? parent.spanId : undefined,
+    sampled: parent ? parent.sampled : Math.random() < SAMPLE_RATIO,
+    startTime: nowNanos(),
+    endTime: null,
+    attributes: { ...(options.attributes || {}) },
+    events: [],
+    status: { code: STATUS_CODE.UNSET },
+
+    setAttribute(key, value) {
+      span.attributes[key] = value;
+      return span;
+    },
+    setStatus(code, message) {
+      span.status = { code, message };
+      return span;
+    },
+    recordException(err) {
+      span.events.push({
+        timeUnixNano: String(nowNanos()),
+        name: "exception",
+        attributes: toAttributes({ "exception.type": err.name, "exception.message": err.message, "exception.stacktrace": err.stack }),
+      });
+      return span.setStatus(STATUS_CODE.ERROR, err.message);
+    },
+    end() {
+      if (span.endTime !== null) return;
+      span.endTime = nowNanos();
+      if (span.sampled && OTLP_ENDPOINT) enqueue(span);
+    },
+  };
+  return span;
+}
+
+function withSpan(span, fn) {
+  return storage.run(span, fn);
+}
+
+function currentSpan() {
+  return storage.getStore() || null;
+}
+
+// Run `fn` with no active span, so timers and callbacks it sets up are not
+// attached to the current trace (which may have long ended by then).
+function withoutSpan(fn) {
+  return storage.exit(fn);
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+function enqueue(span) {
+  if (queue.length >= MAX_QUEUE_SIZE) {
+    metrics.tracingSpansTotal.inc({ outcome: "dropped" });
+    return;
+  }
+  queue.push(span);
+  if (queue.length >= MAX_BATCH_SIZE) flush();
+}
+
+function toOtlp(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: String(span.startTime),
+    endTimeUnixNano: String(span.endTime),
+    attributes: toAttributes(span.attributes),
+    events: span.events,
+    status: span.status,
+  };
+}
+
+/**
+ * Send everything queued so far. Export failures drop the batch (spans are
+ * diagnostic data, not worth unbounded memory) and are counted and logged.
+ */
+async function flush() {
+  if (!OTLP_ENDPOINT || !queue.length) return;
+  const batch = queue.splice(0, MAX_BATCH_SIZE);
+  const body = {
+    resourceSpans: [
+      {
+        resource: { attributes: toAttributes({ "service.name": SERVICE_NAME, "process.pid": process.pid }) },
+        scopeSpans: [{ scope: { name: "test-backend-tracer" }, spans: batch.map(toOtlp) }],
+      },
+    ],
+  };
+
+  try {
+    const res = await fetch(OTLP_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...OTLP_HEADERS },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`OTLP endpoint responded ${res.status}`);
+    metrics.tracingSpansTotal.inc({ outcome: "exported" }, batch.length);
+  } catch (err) {
+    metrics.tracingSpansTotal.inc({ outcome: "failed" }, batch.length);
+    // Required lazily: logger.js depends on this module for trace ids.
+    require("./logger").warn("Span export failed", {
+      type: "tracing",
+      event: "export_failed",
+      endpoint: OTLP_ENDPOINT,
+      spans: batch.length,
+      error: err.message,
+    });
+  }
+  if (queue.length >= MAX_BATCH_SIZE) await flush();
+}
+
+if (OTLP_ENDPOINT) setInterval(flush, EXPORT_INTERVAL_MS).unref();
+
+// Export everything still queued, e.g. on shutdown. Failed batches are
+// dropped rather than requeued, so this always ends.
+async function flushAll() {
+  while (OTLP_ENDPOINT && queue.length) await flush();
+}
+
+// ─── HTTP middleware ─────────────────────────────────────────────────────────
+
+/**
+ * Continue (or start) a trace for each request: a SERVER span named after
+ * the matched route, active for the rest of the middleware chain, with the
+ * outgoing traceparent set on the response.
+ */
+function tracingMiddleware(req, res, next) {
+  const parent = parseTraceparent(req.get("traceparent"));
+  const span = startSpan(req.method, {
+    kind: SPAN_KIND.SERVER,
+    parent,
+    attributes: {
+      "http.method": req.method,
+      "http.target": req.originalUrl,
+      "http.user_agent": req.get("user-agent"),
+      "net.peer.ip": req.ip,
+    },
+  });
+  req.span = span;
+  res.set("traceparent", traceparentFor(span));
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+    if (route) span.name = `${req.method} ${route}`;
+    span.setAttribute("http.route", route);
+    span.setAttribute("http.status_code", res.statusCode);
+    if (res.statusCode >= 500) span.setStatus(STATUS_CODE.ERROR, `HTTP ${res.statusCode}`);
+    span.end();
+  });
+  // Connection gone before a response was sent (client gave up, socket destroyed)
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    span.setStatus(STATUS_CODE.ERROR, "Connection closed before response");
+    span.end();
+  });
+
+  withSpan(span, next);
+}
+
+module.exports = {
+  SPAN_KIND,
+  STATUS_CODE,
+  startSpan,
+  withSpan,
+  withoutSpan,
+  currentSpan,
+  parseTraceparent,
+  traceparentFor,
+  tracingMiddleware,
+  flush,
+  flushAll,
+};
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from "react";
+
+const API = process.env.REACT_APP_API_URL || "http://localhost:5000";
+const REFRESH_MS = 10000;
+const FILTERS = ["all", "firing", "resolved"];
+const SEVERITY_COLORS = { critical: "#dc3545", warning: "#ffc107" };
+
+function formatDuration(sec) {
+  if (sec === null || sec === undefined) return "–";
+  if (sec < 60) return `${sec}s`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m ${sec % 60}s`;
+  return `${Math.floor(sec / 3600)}h ${Math.floor((sec % 3600) / 60)}m`;
+}
+
+// Alerts received from Alertmanager (GET /api/alerts), newest first
+function AlertsPanel({ buttonStyle }) {
+  const [filter, setFilter] = useState("all");
+  const [page, setPage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAlerts = async () => {
+      try {
+        const params = new URLSearchParams({ limit: "25" });
+        if (filter !== "all") params.set("status", filter);
+        const res = await fetch(`${API}/api/alerts?${params}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setPage(body);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    fetchAlerts();
+    const interval = setInterval(fetchAlerts, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [filter]);
+
+  const alerts = (page && page.data) || [];
+
+  return (
+    <div style={{ marginBottom: 20 }}>
+      <h3 style={{ color: "#ffd700" }}>
+        Alerts{" "}
+        <span style={{ fontSize: 12, color: page && page.firing ? "#dc3545" : "#888" }}>
+          {page ? `${page.firing} firing` : "loading..."}
+        </span>
+      </h3>
+      <div>
+        {FILTERS.map((f) => (
+          <button
+            key={f}
+            style={{ ...buttonStyle, padding: "4px 12px", background: f === filter ? "#00d4ff" : "#16213e", color: f === filter ? "#000" : "#eee" }}
+            onClick={() => setFilter(f)}
+          >
+            {f}
+          </button>
+        ))}
+      </div>
+      {error && <div style={{ color: "#dc3545" }}>Failed to load alerts: {error}</div>}
+      {page && !alerts.length && <div style={{ color: "#888", padding: 8 }}>No alerts received yet.</div>}
+      <div style={{ maxHeight: 300, overflow: "auto" }}>
+        {alerts.map((alert) => {
+          const color = alert.status === "resolved" ? "#28a745" : SEVERITY_COLORS[alert.severity] || "#fd7e14";
+          return (
+            <div key={alert.id} style={{ padding: 8, margin: 4, background: "#16213e", borderRadius: 4, borderLeft: `4px solid ${color}` }}>
+              <span style={{ color }}>[{alert.status}]</span> <strong>{alert.alertname}</strong>{" "}
+              <span style={{ color: "#888" }}>({alert.severity})</span>
+              {alert.annotations && alert.annotations.summary && <div>{alert.annotations.summary}</div>}
+              <div style={{ fontSize: 12, color: "#888" }}>
+                started {new Date(alert.startsAt).toLocaleString()}
+                {alert.endsAt && ` · resolved ${new Date(alert.endsAt).toLocaleString()}`}
+                {` · ${alert.status === "resolved" ? "lasted" : "for"} ${formatDuration(alert.durationSec)}`}
+                {alert.notifications > 1 && ` · ${alert.notifications} notifications`}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -1,4 +1,8 @@
 import React, { useState, useEffect } from "react";
+import LiveTail from "./LiveTail";
+import MetricsPanel from "./MetricsPanel";
+import LoadTestPanel from "./LoadTestPanel";
+import AlertsPanel from "./AlertsPanel";
 
 const API = process.env.REACT_APP_API_URL || "http://localhost:5000";
 
@@ -8,9 +12,9 @@ function App() {
 
   const fetchLogs = async () => {
     try {
-      const res = await fetch(`${API}/api/logs`);
-      const data = await res.json();
-      setLogs(data);
+      const res = await fetch(`${API}/api/logs?limit=100`);
+      const page = await res.json();
+      setLogs(page.data || []);
     } catch (err) {
       console.error("Failed to fetch logs:", err);
     }
@@ -28,25 +32,6 @@ function App() {
     }
   };
 
-  const runLoadTest = async () => {
-    setStatus("Running load test (50 requests)...");
-    const endpoints = [
-      "/api/health",
-      "/api/logs",
-      "/api/simulate/error",
-      "/api/simulate/warning",
-      "/api/simulate/auth-fail",
-      "/api/simulate/slow",
-    ];
-    for (let i = 0; i < 50; i++) {
-      const ep = endpoints[Math.floor(Math.random() * endpoints.length)];
-      fetch(`${API}${ep}`).catch(() => {});
-      await new Promise((r) => setTimeout(r, 100));
-    }
-    setStatus("Load test complete - check Kibana for results!");
-    fetchLogs();
-  };
-
   useEffect(() => {
     fetchLogs();
     const interval = setInterval(fetchLogs, 5000);
@@ -78,9 +63,7 @@ function App() {
         <button style={{ ...buttonStyle, background: "#fd7e14" }} onClick={() => triggerEndpoint("/api/simulate/slow")}>Slow Request (PERF)</button>
       </div>
 
-      <div style={{ marginBottom: 20 }}>
-        <button style={{ ...buttonStyle, background: "#e83e8c", fontSize: 16, padding: "12px 30px" }} onClick={runLoadTest}>Run Load Test (50 requests)</button>
-      </div>
+      <LoadTestPanel buttonStyle={buttonStyle} />
 
       {status !== "idle" && (
         <div style={{ padding: 10, background: "#16213e", borderRadius: 6, marginBottom: 20, borderLeft: "4px solid #00d4ff" }}>
@@ -88,6 +71,12 @@ function App() {
         </div>
       )}
 
+      <MetricsPanel />
+
+      <AlertsPanel buttonStyle={buttonStyle} />
+
+      <LiveTail />
+
       <h3 style={{ color: "#ffd700" }}>Recent Log Entries from MongoDB ({logs.length})</h3>
       <div style={{ maxHeight: 400, overflow: "auto" }}>
         {logs.map((log, i) => (
@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const API = process.env.REACT_APP_API_URL || "http://localhost:5000";
+const MAX_LINES = 500;
+const LEVELS = ["error", "warn", "info", "http", "debug"];
+const LEVEL_COLORS = { error: "#dc3545", warn: "#ffc107", info: "#28a745", http: "#17a2b8", debug: "#888" };
+
+// Add `value` to the list if missing, remove it otherwise
+const toggle = (list, value) => (list.includes(value) ? list.filter((v) => v !== value) : [...list, value]);
+
+function Chip({ label, active, color, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        padding: "3px 10px",
+        margin: 3,
+        borderRadius: 12,
+        border: `1px solid ${color || "#00d4ff"}`,
+        background: active ? color || "#00d4ff" : "transparent",
+        color: active ? "#000" : color || "#00d4ff",
+        cursor: "pointer",
+        fontFamily: "monospace",
+      }}
+    >
+      {label}
+    </button>
+  );
+}
+
+// Live tail of the backend's winston stream (GET /api/logs/stream, SSE).
+// Level and type chips are applied server-side; changing them reconnects.
+function LiveTail() {
+  const [lines, setLines] = useState([]);
+  const [levels, setLevels] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [knownTypes, setKnownTypes] = useState([]);
+  const [connected, setConnected] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [autoScroll, setAutoScroll] = useState(true);
+  const pausedRef = useRef(false);
+  const pendingRef = useRef([]);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({ backlog: "100" });
+    if (levels.length) params.set("level", levels.join(","));
+    if (types.length) params.set("type", types.join(","));
+
+    setLines([]);
+    pendingRef.current = [];
+    setPendingCount(0);
+    const source = new EventSource(`${API}/api/logs/stream?${params}`);
+    source.onopen = () => setConnected(true);
+    source.onerror = () => setConnected(false);
+    source.onmessage = (event) => {
+      let entry;
+      try {
+        entry = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      const line = { id: event.lastEventId, entry };
+      if (entry.type) setKnownTypes((prev) => (prev.includes(entry.type) ? prev : [...prev, entry.type].sort()));
+      if (pausedRef.current) {
+        pendingRef.current.push(line);
+        setPendingCount(pendingRef.current.length);
+        return;
+      }
+      setLines((prev) => [...prev, line].slice(-MAX_LINES));
+    };
+    return () => source.close();
+  }, [levels, types]);
+
+  useEffect(() => {
+    if (autoScroll && listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [lines, autoScroll]);
+
+  const togglePause = () => {
+    if (paused) {
+      const held = pendingRef.current;
+      pendingRef.current = [];
+      setPendingCount(0);
+      setLines((prev) => [...prev, ...held].slice(-MAX_LINES));
+    }
+    pausedRef.current = !paused;
+    setPaused(!paused);
+  };
+
+  // Scrolling up stops auto-scroll; scrolling back to the bottom resumes it
+  const onScroll = () => {
+    const el = listRef.current;
+    setAutoScroll(el.scrollHeight - el.scrollTop - el.clientHeight < 20);
+  };
+
+  const buttonStyle = { padding: "5px 12px", marginRight: 8, border: "none", borderRadius: 6, cursor: "pointer", fontWeight: "bold", color: "#fff" };
+
+  return (
+    <div style={{ marginBottom: 20 }}>
+      <h3 style={{ color: "#ffd700" }}>
+        Live Tail{" "}
+        <span style={{ fontSize: 12, color: connected ? "#28a745" : "#dc3545" }}>{connected ? "● connected" : "● disconnected"}</span>
+      </h3>
+
+      <div style={{ marginBottom: 8 }}>
+        <button style={{ ...buttonStyle, background: paused ? "#28a745" : "#6c757d" }} onClick={togglePause}>
+          {paused ? `Resume (${pendingCount} new)` : "Pause"}
+        </button>
+        <button style={{ ...buttonStyle, background: "#6c757d" }} onClick={() => setLines([])}>Clear</button>
+        <label style={{ color: "#888" }}>
+          <input type="checkbox" checked={autoScroll} onChange={(e) => setAutoScroll(e.target.checked)} /> auto-scroll
+        </label>
+      </div>
+
+      <div>
+        <span style={{ color: "#888" }}>level:</span>
+        {LEVELS.map((level) => (
+          <Chip key={level} label={level} color={LEVEL_COLORS[level]} active={levels.includes(level)} onClick={() => setLevels(toggle(levels, level))} />
+        ))}
+      </div>
+      <div style={{ marginBottom: 8 }}>
+        <span style={{ color: "#888" }}>type:</span>
+        {knownTypes.map((type) => (
+          <Chip key={type} label={type} active={types.includes(type)} onClick={() => setTypes(toggle(types, type))} />
+        ))}
+      </div>
+
+      <div ref={listRef} onScroll={onScroll} style={{ height: 350, overflow: "auto", background: "#0f0f1e", borderRadius: 6, padding: 8, fontSize: 12 }}>
+        {lines.map(({ id, entry }) => (
+          <div key={id} style={{ whiteSpace: "nowrap" }}>
+            <span style={{ color: "#666" }}>{entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString() : ""}</span>{" "}
+            <span style={{ color: LEVEL_COLORS[entry.level] || "#eee" }}>[{entry.level}]</span>{" "}
+            <span style={{ color: "#00d4ff" }}>{entry.type || "-"}</span> <span>{entry.message}</span>{" "}
+            <span style={{ color: "#666" }}>{entry.service}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default LiveTail;
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from "react";
+
+const API = process.env.REACT_APP_API_URL || "http://localhost:5000";
+const POLL_MS = 1000;
+
+const DEFAULT_TARGETS = [
+  "GET /api/health 1",
+  "GET /api/logs 1",
+  "GET /api/simulate/error 1",
+  "GET /api/simulate/warning 1",
+  "GET /api/simulate/auth-fail 1",
+  "GET /api/simulate/slow 1",
+].join("\n");
+
+// "METHOD /path [weight]" per line → [{ method, path, weight }]
+const parseTargets = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim().split(/\s+/))
+    .filter((parts) => parts[0])
+    .map(([method, path, weight]) => ({ method, path, weight: weight ? Number(weight) : 1 }));
+
+const cell = { padding: "4px 10px", borderBottom: "1px solid #333", textAlign: "left" };
+const inputStyle = { background: "#16213e", color: "#eee", border: "1px solid #333", borderRadius: 4, padding: 4, width: 80, marginRight: 10 };
+
+function LatencyRow({ label, stats, requests, statusCodes }) {
+  return (
+    <tr>
+      <td style={cell}>{label}</td>
+      <td style={cell}>{requests}</td>
+      <td style={cell}>{Object.entries(statusCodes).map(([code, n]) => `${code}: ${n}`).join(", ")}</td>
+      <td style={cell}>{stats.p50 ?? "–"}</td>
+      <td style={cell}>{stats.p95 ?? "–"}</td>
+      <td style={cell}>{stats.p99 ?? "–"}</td>
+      <td style={cell}>{stats.max ?? "–"}</td>
+    </tr>
+  );
+}
+
+// Drives the server-side load test runner (/api/loadtests) and shows its report
+function LoadTestPanel({ buttonStyle }) {
+  const [targets, setTargets] = useState(DEFAULT_TARGETS);
+  const [concurrency, setConcurrency] = useState(10);
+  const [limitBy, setLimitBy] = useState("durationSec");
+  const [limit, setLimit] = useState(30);
+  const [ratePerSec, setRatePerSec] = useState("");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const running = Boolean(report && report.status === "running");
+  const runId = report ? report.id : null;
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(async () => {
+      try {
+        const res = await fetch(`${API}/api/loadtests/${runId}`);
+        const data = await res.json();
+        if (!res.ok) {
+          setError(data.error || `HTTP ${res.status}`);
+          // Runs live in backend memory; after a restart this one is gone, so stop polling
+          if (res.status === 404) setReport((previous) => ({ ...previous, status: "lost" }));
+          return;
+        }
+        setReport(data);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    }, POLL_MS);
+    return () => clearInterval(interval);
+  }, [running, runId]);
+
+  const start = async () => {
+    setError(null);
+    const body = { targets: parseTargets(targets), concurrency: Number(concurrency), [limitBy]: Number(limit) };
+    if (ratePerSec) body.ratePerSec = Number(ratePerSec);
+    try {
+      const res = await fetch(`${API}/api/loadtests`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+      const data = await res.json();
+      if (!res.ok) return setError([data.error, ...(data.details || [])].join(" — "));
+      setReport(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const stop = async () => {
+    try {
+      const res = await fetch(`${API}/api/loadtests/${report.id}/stop`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) return setError(data.error || `HTTP ${res.status}`);
+      setReport(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: 20 }}>
+      <h3 style={{ color: "#ffd700" }}>Load Test</h3>
+      <textarea value={targets} onChange={(e) => setTargets(e.target.value)} rows={6} style={{ ...inputStyle, width: "100%", fontFamily: "monospace" }} />
+      <div style={{ margin: "8px 0", color: "#888" }}>
+        concurrency <input style={inputStyle} type="number" min="1" value={concurrency} onChange={(e) => setConcurrency(e.target.value)} />
+        <select style={inputStyle} value={limitBy} onChange={(e) => setLimitBy(e.target.value)}>
+          <option value="durationSec">seconds</option>
+          <option value="requests">requests</option>
+        </select>
+        <input style={inputStyle} type="number" min="1" value={limit} onChange={(e) => setLimit(e.target.value)} />
+        rate/s <input style={inputStyle} type="number" min="0" placeholder="max" value={ratePerSec} onChange={(e) => setRatePerSec(e.target.value)} />
+      </div>
+      {running ? (
+        <button style={{ ...buttonStyle, background: "#dc3545" }} onClick={stop}>Stop</button>
+      ) : (
+        <button style={{ ...buttonStyle, background: "#e83e8c", fontSize: 16, padding: "12px 30px" }} onClick={start}>Run Load Test</button>
+      )}
+      {error && <div style={{ color: "#dc3545", marginTop: 8 }}>{error}</div>}
+
+      {report && (
+        <div style={{ marginTop: 12, padding: 10, background: "#16213e", borderRadius: 6 }}>
+          <div>
+            <strong>{report.status}</strong> — {report.totals.requests} requests in {report.elapsedSec}s ({report.totals.throughput} req/s),{" "}
+            {report.totals.failed} HTTP errors, {report.totals.errors} network errors
+            {report.totals.skipped > 0 && `, ${report.totals.skipped} skipped (concurrency limit)`}{" "}
+            <a href={`${API}/api/loadtests/${report.id}/report.json`} style={{ color: "#00d4ff" }}>download JSON</a>
+          </div>
+          {Object.keys(report.errors).length > 0 && (
+            <div style={{ color: "#dc3545" }}>{Object.entries(report.errors).map(([msg, n]) => `${msg}: ${n}`).join(", ")}</div>
+          )}
+          <table style={{ borderCollapse: "collapse", marginTop: 8, width: "100%" }}>
+            <thead>
+              <tr style={{ color: "#888" }}>
+                {["target", "requests", "status codes", "p50 ms", "p95 ms", "p99 ms", "max ms"].map((h) => (
+                  <th key={h} style={cell}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <LatencyRow label="all" stats={report.latencyMs} requests={report.totals.requests} statusCodes={report.statusCodes} />
+              {report.targets.map((t) => (
+                <LatencyRow key={`${t.method} ${t.path}`} label={`${t.method} ${t.path}`} stats={t.latencyMs} requests={t.requests} statusCodes={t.statusCodes} />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LoadTestPanel;
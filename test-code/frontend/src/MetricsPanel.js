@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from "react";
+
+const API = process.env.REACT_APP_API_URL || "http://localhost:5000";
+const REFRESH_MS = 5000;
+
+// Inline SVG sparkline; nulls (no traffic in an interval) are skipped
+function Sparkline({ values, color, width = 180, height = 40 }) {
+  const points = values.map((v, i) => [i, v]).filter(([, v]) => v !== null && v !== undefined);
+  if (points.length < 2) return <svg width={width} height={height} />;
+  const max = Math.max(...points.map(([, v]) => v), 1e-9);
+  const step = width / Math.max(values.length - 1, 1);
+  const path = points.map(([i, v], n) => `${n ? "L" : "M"}${(i * step).toFixed(1)},${(height - 2 - (v / max) * (height - 4)).toFixed(1)}`).join(" ");
+  return (
+    <svg width={width} height={height}>
+      <path d={path} fill="none" stroke={color} strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+function Card({ title, value, unit, values, color }) {
+  return (
+    <div style={{ background: "#16213e", borderRadius: 6, padding: 10, margin: 5, width: 200 }}>
+      <div style={{ color: "#888", fontSize: 12 }}>{title}</div>
+      <div style={{ fontSize: 20, color }}>
+        {value === null || value === undefined ? "–" : value}
+        <span style={{ fontSize: 12, color: "#888" }}> {unit}</span>
+      </div>
+      <Sparkline values={values} color={color} />
+    </div>
+  );
+}
+
+const last = (samples, key) => (samples.length ? samples[samples.length - 1][key] : null);
+const sumObject = (obj) => Object.values(obj || {}).reduce((sum, v) => sum + v, 0);
+
+// Headline metrics from GET /api/metrics/summary, refreshed every 5s
+function MetricsPanel() {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        const res = await fetch(`${API}/api/metrics/summary`);
+        const body = await res.json();
+        // Keep showing the last good summary when a request fails (e.g. injected 5xx)
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        setSummary(body);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    fetchSummary();
+    const interval = setInterval(fetchSummary, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const samples = (summary && summary.samples) || [];
+  const series = (key) => samples.map((s) => s[key]);
+  const revenueSeries = samples.map((s) => sumObject(s.revenue));
+
+  return (
+    <div style={{ marginBottom: 20 }}>
+      <h3 style={{ color: "#ffd700" }}>
+        Metrics{" "}
+        <span style={{ fontSize: 12, color: "#888" }}>
+          {summary ? `last ${Math.round((samples.length * summary.intervalSec) / 60)} min, ${summary.intervalSec}s samples` : "loading..."}
+        </span>
+      </h3>
+      {error && <div style={{ color: "#dc3545" }}>Failed to load metrics: {error}</div>}
+      <div style={{ display: "flex", flexWrap: "wrap" }}>
+        <Card title="Request rate" value={last(samples, "requestRate")} unit="req/s" values={series("requestRate")} color="#00d4ff" />
+        <Card title="5xx rate" value={last(samples, "serverErrorRate")} unit="req/s" values={series("serverErrorRate")} color="#dc3545" />
+        <Card title="App errors" value={last(samples, "appErrorRate")} unit="/s" values={series("appErrorRate")} color="#fd7e14" />
+        <Card title="Latency p50" value={last(samples, "p50")} unit="ms" values={series("p50")} color="#28a745" />
+        <Card title="Latency p90" value={last(samples, "p90")} unit="ms" values={series("p90")} color="#ffc107" />
+        <Card title="Latency p99" value={last(samples, "p99")} unit="ms" values={series("p99")} color="#e83e8c" />
+        <Card title="Queue depth" value={last(samples, "queueDepth")} unit="jobs" values={series("queueDepth")} color="#6f42c1" />
+        <Card
+          title="Revenue (USD, per interval)"
+          value={summary ? sumObject(summary.totals.revenue).toFixed(2) : null}
+          unit="total"
+          values={revenueSeries}
+          color="#17a2b8"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default MetricsPanel;